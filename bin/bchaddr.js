@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var readline = require('readline')
+var bchaddr = require('../src/bchaddr')
+var isKnownNetwork = require('../src/networks').isKnownNetwork
+var migrate = require('../src/migrate')
+
+var USAGE = [
+  'Usage: bchaddr <command> [options] [address...]',
+  '',
+  'Commands:',
+  '  detect                Print the format, network and type of each address.',
+  '  convert --to <format> Translate each address into cashaddr, legacy, slp, bitpay, ecash or etoken format.',
+  '  validate              Print whether each address is valid.',
+  '  migrate --to <format> <path...>',
+  '                        Rewrite the legacy and bitpay addresses in the given files and directories',
+  '                        into cashaddr or slp format, after showing the changes and asking for confirmation.',
+  '',
+  'Except for migrate, addresses are read from the arguments or, if none are given, one per line',
+  'from standard input.',
+  '',
+  'Options:',
+  '  --network <network>   Network to translate addresses into, e.g. mainnet, testnet or regtest.',
+  '  --json                Print one JSON object per address.',
+  '  --column <n>          Read CSV lines and take addresses from their n-th column, starting at 1.',
+  '                        Converted addresses replace the column; other results are appended.',
+  '  --header              Copy the first CSV line, which holds column names.',
+  '  --yes                 Migrate without asking for confirmation.',
+  '  -h, --help            Print this message.',
+  '',
+  'Exits with status 1 if any address is invalid, cannot be translated or, when migrating, cannot be',
+  'classified, and 2 on usage errors.'
+].join('\n')
+
+/**
+ * Formats accepted by the --to option, besides the values of bchaddr.Format.
+ * @private
+ */
+var FORMAT_ALIASES = {
+  slp: bchaddr.Format.Slpaddr
+}
+
+/**
+ * Formats accepted by the --to option of the migrate command.
+ * @private
+ */
+var MIGRATION_FORMATS = [bchaddr.Format.Cashaddr, bchaddr.Format.Slpaddr]
+
+/**
+ * Error thrown when the command line is malformed.
+ * @private
+ * @param {string} message
+ */
+function UsageError (message) {
+  this.message = message
+}
+
+/**
+ * Parses the given command line arguments.
+ * @private
+ * @param {Array<string>} args
+ * @return {object}
+ * @throws {UsageError}
+ */
+function parseArgs (args) {
+  var options = { command: null, addresses: [], json: false, header: false, column: null, to: null, network: null, yes: false }
+  for (var i = 0; i < args.length; ++i) {
+    var arg = args[i]
+    var value = null
+    if (/^--[a-z]+=/.test(arg)) {
+      value = arg.slice(arg.indexOf('=') + 1)
+      arg = arg.slice(0, arg.indexOf('='))
+    }
+    if (arg === '--to' || arg === '--network' || arg === '--column') {
+      if (value === null) {
+        if (i + 1 === args.length) {
+          throw new UsageError('Missing value for ' + arg + '.')
+        }
+        value = args[++i]
+      }
+      options[arg.slice(2)] = value
+    } else if (arg === '--json' || arg === '--header' || arg === '--yes') {
+      options[arg.slice(2)] = true
+    } else if (arg === '-h' || arg === '--help') {
+      options.command = 'help'
+      return options
+    } else if (arg[0] === '-' && arg !== '-') {
+      throw new UsageError('Unknown option: ' + arg + '.')
+    } else if (options.command === null) {
+      options.command = arg
+    } else {
+      options.addresses.push(arg)
+    }
+  }
+  validateOptions(options)
+  return options
+}
+
+/**
+ * Checks that the given parsed options make up a valid command.
+ * @private
+ * @param {object} options
+ * @throws {UsageError}
+ */
+function validateOptions (options) {
+  if (['detect', 'convert', 'validate', 'migrate'].indexOf(options.command) === -1) {
+    throw new UsageError(options.command === null ? 'Missing command.' : 'Unknown command: ' + options.command + '.')
+  }
+  if (options.command === 'convert' || options.command === 'migrate') {
+    if (options.to === null) {
+      throw new UsageError('Missing --to format.')
+    }
+    options.format = FORMAT_ALIASES[options.to] || options.to
+    var formats = options.command === 'migrate' ? MIGRATION_FORMATS : Object.keys(bchaddr.Format).map(function (key) {
+      return bchaddr.Format[key]
+    })
+    if (formats.indexOf(options.format) === -1) {
+      throw new UsageError('Unknown format: ' + options.to + '.')
+    }
+    if (options.network !== null && !isKnownNetwork(options.network)) {
+      throw new UsageError('Unknown network: ' + options.network + '.')
+    }
+  } else if (options.to !== null || options.network !== null) {
+    throw new UsageError('Only the convert and migrate commands take --to and --network.')
+  }
+  if (options.command === 'migrate') {
+    if (options.addresses.length === 0) {
+      throw new UsageError('Missing paths to migrate.')
+    }
+    if (options.json || options.column !== null) {
+      throw new UsageError('The migrate command does not take --json or --column.')
+    }
+  } else if (options.yes) {
+    throw new UsageError('Only the migrate command takes --yes.')
+  }
+  if (options.column !== null) {
+    if (!/^[1-9][0-9]*$/.test(options.column)) {
+      throw new UsageError('Invalid column: ' + options.column + '.')
+    }
+    if (options.json) {
+      throw new UsageError('--json and --column cannot be combined.')
+    }
+    options.column = parseInt(options.column, 10) - 1
+  } else if (options.header) {
+    throw new UsageError('--header requires --column.')
+  }
+}
+
+/**
+ * Runs the given command on a single address, returning its result fields or throwing.
+ * @private
+ * @param {object} options
+ * @param {string} address
+ * @return {object}
+ */
+function runCommand (options, address) {
+  if (options.command === 'convert') {
+    return { output: bchaddr.convertAddress(address, { format: options.format, network: options.network || undefined }) }
+  }
+  var decoded = bchaddr.decodeAddress(address)
+  if (options.command === 'validate') {
+    return { valid: true }
+  }
+  return { format: decoded.format, network: decoded.network, type: decoded.type }
+}
+
+/**
+ * Returns the fields printed in text mode for the given result.
+ * @private
+ * @param {object} options
+ * @param {object} result
+ * @return {Array<string>}
+ */
+function getResultFields (options, result) {
+  if (options.command === 'convert') {
+    return [result.output]
+  }
+  if (options.command === 'validate') {
+    return [result.valid ? 'valid' : 'invalid']
+  }
+  return [result.format, result.network, result.type]
+}
+
+/**
+ * Splits the given CSV line into its raw fields, keeping quotes.
+ * @private
+ * @param {string} line
+ * @return {Array<string>}
+ */
+function splitCsvLine (line) {
+  var field = /("(?:[^"]|"")*"|[^,]*)(,|$)/g
+  var fields = []
+  var match
+  do {
+    match = field.exec(line)
+    fields.push(match[1])
+  } while (match[2] === ',')
+  return fields
+}
+
+/**
+ * Returns the value of the given raw CSV field.
+ * @private
+ * @param {string} field
+ * @return {string}
+ */
+function unquoteCsvField (field) {
+  return /^".*"$/.test(field) ? field.slice(1, -1).replace(/""/g, '"') : field.trim()
+}
+
+/**
+ * Processes a single line of input, writing its result to the given streams.
+ * @private
+ * @param {object} options
+ * @param {string} line
+ * @param {object} io - Output streams, stdout and stderr.
+ * @return {boolean} Whether the address in the line was processed successfully.
+ */
+function processLine (options, line, io) {
+  var fields = options.column !== null ? splitCsvLine(line) : null
+  var address = fields ? unquoteCsvField(fields[options.column] || '') : line.trim()
+  var result
+  var error = null
+  try {
+    result = runCommand(options, address)
+  } catch (caught) {
+    if (!(caught instanceof bchaddr.InvalidAddressError) && !(caught instanceof bchaddr.UnsupportedConversionError)) {
+      throw caught
+    }
+    error = caught
+    result = options.command === 'validate' ? { valid: false } : {}
+  }
+  if (options.json) {
+    var json = { input: address }
+    Object.keys(result).forEach(function (key) {
+      json[key] = result[key]
+    })
+    if (error) {
+      json.error = { code: error.code || null, message: error.message }
+    }
+    io.stdout.write(JSON.stringify(json) + '\n')
+  } else if (fields) {
+    if (!error && options.command === 'convert') {
+      fields[options.column] = /^"/.test(fields[options.column]) ? '"' + result.output + '"' : result.output
+    } else if (options.command !== 'convert') {
+      fields = fields.concat(error && options.command === 'detect' ? ['', '', ''] : getResultFields(options, result))
+    }
+    io.stdout.write(fields.join(',') + '\n')
+  } else if (!error || options.command === 'validate') {
+    io.stdout.write(getResultFields(options, result).join(' ') + '\n')
+  }
+  if (error) {
+    io.stderr.write('bchaddr: ' + address + ': ' + error.message + '\n')
+  }
+  return error === null
+}
+
+/**
+ * Returns the names of the CSV columns appended by the given command, with a leading comma.
+ * @private
+ * @param {object} options
+ * @return {string}
+ */
+function getHeaderFields (options) {
+  return options.command === 'validate' ? ',valid' : ',format,network,type'
+}
+
+/**
+ * Runs the command line tool with the given arguments, calling back with its exit status.
+ * @private
+ * @param {Array<string>} args
+ * @param {object} io - Input and output streams, stdin, stdout and stderr.
+ * @param {function} done - Called with the exit status.
+ */
+function main (args, io, done) {
+  var options
+  try {
+    options = parseArgs(args)
+  } catch (error) {
+    if (!(error instanceof UsageError)) {
+      throw error
+    }
+    io.stderr.write('bchaddr: ' + error.message + '\n\n' + USAGE + '\n')
+    return done(2)
+  }
+  if (options.command === 'help') {
+    io.stdout.write(USAGE + '\n')
+    return done(0)
+  }
+  if (options.command === 'migrate') {
+    return runMigration(options, io, done)
+  }
+  var success = true
+  if (options.addresses.length > 0) {
+    options.addresses.forEach(function (address) {
+      success = processLine(options, address, io) && success
+    })
+    return done(success ? 0 : 1)
+  }
+  var first = true
+  readline.createInterface({ input: io.stdin }).on('line', function (line) {
+    if (first && options.header) {
+      io.stdout.write(line + (options.command === 'convert' ? '' : getHeaderFields(options)) + '\n')
+    } else if (line.trim() !== '') {
+      success = processLine(options, line, io) && success
+    }
+    first = false
+  }).on('close', function () {
+    done(success ? 0 : 1)
+  })
+}
+
+/**
+ * Runs the migrate command: prints the planned changes as a diff along with every address
+ * which could not be classified, then applies them once confirmed.
+ * @private
+ * @param {object} options
+ * @param {object} io - Input and output streams, stdin, stdout and stderr.
+ * @param {function} done - Called with the exit status.
+ */
+function runMigration (options, io, done) {
+  var plan
+  try {
+    plan = migrate.planMigration(options.addresses, { format: options.format, network: options.network || undefined })
+  } catch (error) {
+    io.stderr.write('bchaddr: ' + error.message + '\n')
+    return done(1)
+  }
+  var status = 0
+  var count = 0
+  var files = 0
+  plan.forEach(function (file) {
+    file.unclassified.forEach(function (entry) {
+      io.stderr.write('bchaddr: ' + file.path + ':' + entry.line + ':' + entry.column + ': ' + entry.address + ': ' + entry.message + '\n')
+      status = 1
+    })
+    count += file.changes.length
+    files += file.changes.length > 0 ? 1 : 0
+  })
+  if (count === 0) {
+    io.stderr.write('No addresses to migrate.\n')
+    return done(status)
+  }
+  io.stdout.write(migrate.formatMigrationDiff(plan))
+  var summary = pluralize(count, 'address', 'addresses') + ' in ' + pluralize(files, 'file', 'files')
+  var apply = function (confirmed) {
+    if (!confirmed) {
+      io.stderr.write('Nothing migrated.\n')
+      return done(status)
+    }
+    try {
+      migrate.applyMigration(plan)
+    } catch (error) {
+      io.stderr.write('bchaddr: ' + error.message + '\n')
+      return done(1)
+    }
+    io.stderr.write('Migrated ' + summary + '.\n')
+    done(status)
+  }
+  if (options.yes) {
+    return apply(true)
+  }
+  io.stderr.write('Migrate ' + summary + '? [y/N] ')
+  confirm(io.stdin, apply)
+}
+
+/**
+ * Reads a single answer from the given input, calling back with it.
+ * A closed input counts as no.
+ * @private
+ * @param {object} input
+ * @param {function} answer - Called with whether the answer is yes.
+ */
+function confirm (input, answer) {
+  var answered = false
+  var reader = readline.createInterface({ input: input })
+  reader.once('line', function (line) {
+    answered = true
+    reader.close()
+    answer(/^y(es)?$/i.test(line.trim()))
+  }).on('close', function () {
+    if (!answered) {
+      answer(false)
+    }
+  })
+}
+
+/**
+ * Returns the given count followed by the singular or plural form of a noun.
+ * @private
+ * @param {number} count
+ * @param {string} singular
+ * @param {string} plural
+ * @return {string}
+ */
+function pluralize (count, singular, plural) {
+  return count + ' ' + (count === 1 ? singular : plural)
+}
+
+main(process.argv.slice(2), process, function (status) {
+  process.exitCode = status
+})
@@ -0,0 +1,17 @@
+import { Format, Network, Type } from "./constants";
+import { decoded } from "./bchaddr";
+
+export function decodeBase58Address(address: string): decoded;
+
+export function isValidBase58Address(address: string): boolean;
+
+export function encodeAsLegacy(decoded: decoded): string;
+
+export function encodeAsBitpay(decoded: decoded): string;
+
+export interface base58Diagnosis {
+    invalidCharacters: Array<{ position: number; character: string }>;
+    candidates: Array<{ address: string; positions: Array<number>; format: Format; network: Network | string; type: Type }>;
+}
+
+export function diagnoseBase58Address(address: string): base58Diagnosis;
\ No newline at end of file
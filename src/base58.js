@@ -0,0 +1,214 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var base58check = require('./base58check')
+var ErrorCode = require('./constants').ErrorCode
+var Format = require('./constants').Format
+var Subtype = require('./constants').Subtype
+var Type = require('./constants').Type
+var InvalidAddressError = require('./errors').InvalidAddressError
+var UnsupportedConversionError = require('./errors').UnsupportedConversionError
+var getVersionByte = require('./networks').getVersionByte
+var getVersionByteInfo = require('./networks').getVersionByteInfo
+
+/**
+ * Decoding and encoding of addresses in base58 formats: legacy and bitpay.
+ * Decoded addresses are plain objects holding their hash, format, network, type,
+ * sub-type, hash size and token support, as returned by [#decodeAddress()]{@link decodeAddress}.
+ * @module base58
+ */
+
+/**
+ * Length of a valid base58check encoding payload: 1 byte for
+ * the version byte plus 20 bytes for a RIPEMD-160 hash. Longer
+ * hashes, such as the 32-byte hash of P2SH32 addresses, are only
+ * representable in cashaddr-based formats.
+ * @private
+ */
+var BASE_58_CHECK_PAYLOAD_LENGTH = 21
+
+/**
+ * Alphabet of the base58 encoding.
+ * @private
+ */
+var BASE_58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
+/**
+ * Attempts to decode the given address assuming it is a base58 address.
+ * @static
+ * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @return {object}
+ * @throws {InvalidAddressError}
+ */
+function decodeBase58Address (address) {
+  for (var i = 0; i < address.length; ++i) {
+    if (BASE_58_ALPHABET.indexOf(address[i]) === -1) {
+      throw new InvalidAddressError(ErrorCode.InvalidCharacter, 'Invalid base58 character: ' + address[i] + '.', Format.Legacy)
+    }
+  }
+  var payload
+  try {
+    payload = base58check.decode(address)
+  } catch (error) {
+    throw new InvalidAddressError(ErrorCode.InvalidChecksum, 'Invalid base58 checksum.', Format.Legacy)
+  }
+  if (payload.length !== BASE_58_CHECK_PAYLOAD_LENGTH) {
+    throw new InvalidAddressError(ErrorCode.InvalidPayloadLength, 'Invalid base58 payload length: ' + payload.length + '.', Format.Legacy)
+  }
+  var versionByte = payload[0]
+  var hash = Array.prototype.slice.call(payload, 1)
+  var version = getVersionByteInfo(versionByte)
+  if (version) {
+    return {
+      hash: hash,
+      format: version.format,
+      network: version.network,
+      type: version.type,
+      subtype: version.type === Type.P2PKH ? Subtype.P2PKH : Subtype.P2SH20,
+      hashSize: hash.length,
+      tokenSupport: false
+    }
+  }
+  throw new InvalidAddressError(ErrorCode.UnknownVersionByte, 'Unknown base58 version byte: ' + versionByte + '.', Format.Legacy)
+}
+
+/**
+ * Returns true if the given address decodes as a base58 address with a known version byte.
+ * @static
+ * @param {string} address
+ * @return {boolean}
+ */
+function isValidBase58Address (address) {
+  try {
+    decodeBase58Address(address)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Encodes the given decoded address into legacy format.
+ * @static
+ * @param {object} decoded
+ * @returns {string}
+ * @throws {UnsupportedConversionError}
+ */
+function encodeAsLegacy (decoded) {
+  if (decoded.tokenSupport) {
+    throw new UnsupportedConversionError('Token-aware addresses cannot be represented in legacy format.')
+  }
+  if (decoded.hash.length !== BASE_58_CHECK_PAYLOAD_LENGTH - 1) {
+    throw new UnsupportedConversionError('Addresses with a ' + decoded.hash.length + '-byte hash are not representable in base58.')
+  }
+  var versionByte = getVersionByte(Format.Legacy, decoded.network, decoded.type)
+  if (versionByte === undefined) {
+    throw new UnsupportedConversionError('Network ' + decoded.network + ' has no legacy version byte for ' + decoded.type + ' addresses.')
+  }
+  var payload = new Uint8Array(1 + decoded.hash.length)
+  payload[0] = versionByte
+  payload.set(decoded.hash, 1)
+  return base58check.encode(payload)
+}
+
+/**
+ * Encodes the given decoded address into bitpay format.
+ * @static
+ * @param {object} decoded
+ * @returns {string}
+ * @throws {UnsupportedConversionError}
+ */
+function encodeAsBitpay (decoded) {
+  if (decoded.tokenSupport) {
+    throw new UnsupportedConversionError('Token-aware addresses cannot be represented in bitpay format.')
+  }
+  if (decoded.hash.length !== BASE_58_CHECK_PAYLOAD_LENGTH - 1) {
+    throw new UnsupportedConversionError('Addresses with a ' + decoded.hash.length + '-byte hash are not representable in base58.')
+  }
+  var versionByte = getVersionByte(Format.Bitpay, decoded.network, decoded.type)
+  if (versionByte === undefined) {
+    throw new UnsupportedConversionError('Network ' + decoded.network + ' has no bitpay version byte for ' + decoded.type + ' addresses.')
+  }
+  var payload = new Uint8Array(1 + decoded.hash.length)
+  payload[0] = versionByte
+  payload.set(decoded.hash, 1)
+  return base58check.encode(payload)
+}
+
+/**
+ * Diagnoses a mistyped legacy or bitpay address. Flags every character outside of the base58
+ * alphabet, such as 0, O, I and l, and searches for addresses differing from the given one in a
+ * single substituted character or a pair of swapped adjacent characters which pass the base58
+ * checksum and carry a known version byte. Substitutions are only searched at the position of
+ * the invalid character when there is one, and not at all when there are several.<br />
+ * Candidates must be confirmed by the user and never applied automatically.
+ * @static
+ * @param {string} address - A legacy or bitpay address.
+ * @return {object} The invalid characters found, each with its index, and the candidate
+ * addresses, each with its format, network, type and the indices of the changed characters.
+ * @throws {InvalidAddressError}
+ */
+function diagnoseBase58Address (address) {
+  if (typeof address !== 'string' || address.length === 0) {
+    throw new InvalidAddressError(ErrorCode.InvalidInput, 'Expected a non-empty string, received: ' + address + '.')
+  }
+  var diagnosis = {
+    invalidCharacters: [],
+    candidates: []
+  }
+  for (var i = 0; i < address.length; ++i) {
+    if (BASE_58_ALPHABET.indexOf(address[i]) === -1) {
+      diagnosis.invalidCharacters.push({ position: i, character: address[i] })
+    }
+  }
+  if (diagnosis.invalidCharacters.length === 0 && isValidBase58Address(address)) {
+    return diagnosis
+  }
+  var addCandidate = function (candidate, positions) {
+    if (isValidBase58Address(candidate)) {
+      var decoded = decodeBase58Address(candidate)
+      diagnosis.candidates.push({
+        address: candidate,
+        positions: positions,
+        format: decoded.format,
+        network: decoded.network,
+        type: decoded.type
+      })
+    }
+  }
+  var invalidCount = diagnosis.invalidCharacters.length
+  for (var position = 0; position < address.length; ++position) {
+    if (invalidCount > 1 || (invalidCount === 1 && diagnosis.invalidCharacters[0].position !== position)) {
+      continue
+    }
+    for (var j = 0; j < BASE_58_ALPHABET.length; ++j) {
+      if (BASE_58_ALPHABET[j] !== address[position]) {
+        addCandidate(address.slice(0, position) + BASE_58_ALPHABET[j] + address.slice(position + 1), [position])
+      }
+    }
+  }
+  if (invalidCount === 0) {
+    for (position = 0; position < address.length - 1; ++position) {
+      if (address[position] !== address[position + 1]) {
+        addCandidate(
+          address.slice(0, position) + address[position + 1] + address[position] + address.slice(position + 2),
+          [position, position + 1]
+        )
+      }
+    }
+  }
+  return diagnosis
+}
+
+module.exports = {
+  decodeBase58Address: decodeBase58Address,
+  isValidBase58Address: isValidBase58Address,
+  encodeAsLegacy: encodeAsLegacy,
+  encodeAsBitpay: encodeAsBitpay,
+  diagnoseBase58Address: diagnoseBase58Address
+}
@@ -0,0 +1,153 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var sha256d = require('./hash').sha256d
+
+/**
+ * Encoding and decoding of base58check strings, as used by legacy and bitpay addresses.
+ * Works on Uint8Array alone, so that it runs the same in Node.js, browsers and React Native.
+ * @module base58check
+ */
+
+/**
+ * Encodes the given payload, appending its checksum.
+ * @static
+ * @param {Uint8Array} payload - Payload represented as an array of 8-bit integers.
+ * @returns {string}
+ */
+function encode (payload) {
+  return encodeBase58(concat(payload, checksum(payload)))
+}
+
+/**
+ * Decodes the given base58check string, verifying and removing its checksum.
+ * @static
+ * @param {string} string - Base58check string to decode.
+ * @returns {Uint8Array}
+ * @throws {Error}
+ */
+function decode (string) {
+  var bytes = decodeBase58(string)
+  if (bytes.length < CHECKSUM_LENGTH) {
+    throw new Error('Invalid base58check string: ' + string + '.')
+  }
+  var payload = bytes.slice(0, bytes.length - CHECKSUM_LENGTH)
+  var expected = checksum(payload)
+  for (var i = 0; i < CHECKSUM_LENGTH; ++i) {
+    if (bytes[payload.length + i] !== expected[i]) {
+      throw new Error('Invalid base58check checksum: ' + string + '.')
+    }
+  }
+  return payload
+}
+
+/**
+ * Alphabet of the base58 encoding.
+ * @private
+ */
+var ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
+/**
+ * Length of the checksum appended to base58check payloads, in bytes.
+ * @private
+ */
+var CHECKSUM_LENGTH = 4
+
+/**
+ * Computes the checksum of the given payload: the first bytes of its double SHA-256 hash.
+ * @private
+ * @param {Uint8Array} payload
+ * @returns {Uint8Array}
+ */
+function checksum (payload) {
+  return sha256d(payload).subarray(0, CHECKSUM_LENGTH)
+}
+
+/**
+ * Encodes the given bytes in base58, keeping each leading zero byte as a leading '1'.
+ * @private
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function encodeBase58 (bytes) {
+  var digits = []
+  for (var i = 0; i < bytes.length; ++i) {
+    var carry = bytes[i]
+    for (var j = 0; j < digits.length; ++j) {
+      carry += digits[j] << 8
+      digits[j] = carry % 58
+      carry = (carry / 58) | 0
+    }
+    while (carry > 0) {
+      digits.push(carry % 58)
+      carry = (carry / 58) | 0
+    }
+  }
+  var string = ''
+  for (i = 0; i < bytes.length && bytes[i] === 0; ++i) {
+    string += ALPHABET[0]
+  }
+  for (j = digits.length - 1; j >= 0; --j) {
+    string += ALPHABET[digits[j]]
+  }
+  return string
+}
+
+/**
+ * Decodes the given base58 string, keeping each leading '1' as a leading zero byte.
+ * @private
+ * @param {string} string
+ * @returns {Uint8Array}
+ * @throws {Error}
+ */
+function decodeBase58 (string) {
+  var bytes = []
+  for (var i = 0; i < string.length; ++i) {
+    var carry = ALPHABET.indexOf(string[i])
+    if (carry === -1) {
+      throw new Error('Invalid base58 character: ' + string[i] + '.')
+    }
+    for (var j = 0; j < bytes.length; ++j) {
+      carry += bytes[j] * 58
+      bytes[j] = carry & 0xff
+      carry >>= 8
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff)
+      carry >>= 8
+    }
+  }
+  var zeros = 0
+  while (zeros < string.length && string[zeros] === ALPHABET[0]) {
+    ++zeros
+  }
+  var result = new Uint8Array(zeros + bytes.length)
+  for (j = 0; j < bytes.length; ++j) {
+    result[result.length - 1 - j] = bytes[j]
+  }
+  return result
+}
+
+/**
+ * Concatenates the given byte arrays.
+ * @private
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {Uint8Array}
+ */
+function concat (a, b) {
+  var ab = new Uint8Array(a.length + b.length)
+  ab.set(a)
+  ab.set(b, a.length)
+  return ab
+}
+
+module.exports = {
+  encode: encode,
+  decode: decode
+}
@@ -1,52 +1,66 @@
-export enum Format {
-    Legacy = "legacy",
-    Bitpay = "bitpay",
-    Cashaddr = "cashaddr",
-    Slpaddr = "slpaddr"
-}
-    
-export enum Network {
-    Mainnet = "mainnet",
-    Testnet = "testnet"
-}
-    
-export enum Type {
-    P2PKH = "p2pkh",
-    P2SH = "p2sh"
-}
+import { Format, Network, Type, Subtype } from "./constants";
+
+export { Format, Network, Type, Subtype, ErrorCode } from "./constants";
+
+export { InvalidAddressError, UnsupportedConversionError, UnsupportedScriptError, InvalidPublicKeyError, InvalidPaymentURIError } from "./errors";
+
+export { networkConfig, registerNetwork } from "./networks";
+
+export { base58Diagnosis, diagnoseBase58Address } from "./base58";
 
 export interface decoded {
     hash: Array<number>;
     format: Format;
-    network: Network;
+    network: Network | string;
     type: Type;
+    subtype: Subtype;
+    hashSize: number;
+    tokenSupport: boolean;
 }
 
-export function InvalidAddressError(): void;
+export function setDecodeCacheSize(size: number): void;
 
-export function decodeAddress(address: string): decoded;
+export interface decodeOptions {
+    requirePrefix?: boolean;
+    network?: Network | string;
+    formats?: Array<Format>;
+    types?: Array<Type>;
+}
+
+export interface outputOptions {
+    includePrefix?: boolean;
+    case?: "lower" | "upper";
+}
+
+export interface translateOptions extends decodeOptions, outputOptions {}
+
+export function decodeAddress(address: string, options?: decodeOptions): decoded;
 
 export function detectAddressFormat(address: string): Format;
 
-export function detectAddressNetwork(address: string): Network;
+export function detectAddressNetwork(address: string): Network | string;
 
 export function detectAddressType(address: string): Type;
 
 export function encodeAsBitpay(decoded: decoded): string;
 
-export function encodeAsCashaddr(decoded: decoded): string;
+export function encodeAsCashaddr(decoded: decoded, options?: outputOptions): string;
 
 export function encodeAsLegacy(decoded: decoded): string;
 
-export function encodeAsMainnetaddr(decoded: decoded): string;
+export function encodeAsMainnetaddr(decoded: decoded, options?: outputOptions): string;
 
-export function encodeAsTestnetaddr(decoded: decoded): string;
+export function encodeAsTestnetaddr(decoded: decoded, options?: outputOptions): string;
 
-export function encodeAsRegtestaddr(decoded: decoded): string;
+export function encodeAsRegtestaddr(decoded: decoded, options?: outputOptions): string;
 
-export function encodeAsSlpRegtestaddr(decoded: decoded): string;
+export function encodeAsSlpRegtestaddr(decoded: decoded, options?: outputOptions): string;
 
-export function encodeAsSlpaddr(decoded: decoded): string;
+export function encodeAsSlpaddr(decoded: decoded, options?: outputOptions): string;
+
+export function encodeAsEcashaddr(decoded: decoded, options?: outputOptions): string;
+
+export function encodeAsEtokenaddr(decoded: decoded, options?: outputOptions): string;
 
 export function isBitpayAddress(address: string): boolean;
 
@@ -60,25 +74,153 @@ export function isP2PKHAddress(address: string): boolean;
 
 export function isP2SHAddress(address: string): boolean;
 
+export function isP2SH32Address(address: string): boolean;
+
 export function isSlpAddress(address: string): boolean;
 
+export function isEcashAddress(address: string): boolean;
+
+export function isEtokenAddress(address: string): boolean;
+
 export function isTestnetAddress(address: string): boolean;
 
-export function isValidAddress(input: string): boolean;
+export function isRegtestAddress(address: string): boolean;
+
+export function isTokenAwareAddress(address: string): boolean;
+
+export function isValidAddress(input: string, options?: decodeOptions): boolean;
+
+export function toBitpayAddress(address: string, options?: decodeOptions): string;
+
+export function toCashAddress(address: string, options?: translateOptions): string;
+
+export function toLegacyAddress(address: string, options?: decodeOptions): string;
+
+export function toMainnetAddress(address: string, options?: translateOptions): string;
 
-export function toBitpayAddress(address: string): string;
+export function toTestnetAddress(address: string, options?: translateOptions): string;
 
-export function toCashAddress(address: string): string;
+export function toRegtestAddress(address: string, options?: translateOptions): string;
 
-export function toLegacyAddress(address: string): string;
+export function toSlpAddress(address: string, options?: translateOptions): string;
 
-export function toMainnetAddress(address: string): string;
+export function toEcashAddress(address: string, options?: translateOptions): string;
+
+export function toEtokenAddress(address: string, options?: translateOptions): string;
+
+export function toSlpRegtestAddress(address: string, options?: translateOptions): string;
+
+export function toTokenAwareAddress(address: string, options?: translateOptions): string;
+
+export function toNonTokenAddress(address: string, options?: translateOptions): string;
+
+export interface addressFields extends outputOptions {
+    hash: Uint8Array | Array<number> | string;
+    type: Type;
+    format?: Format;
+    network?: Network | string;
+    tokenSupport?: boolean;
+}
 
-export function toTestnetAddress(address: string): string;
+export function convertAddress(address: string, options?: Partial<Pick<addressFields, "type" | "format" | "network" | "tokenSupport" | "includePrefix" | "case">>): string;
 
-export function toRegtestAddress(address: string): string;
+export function encodeAddress(fields: addressFields): string;
 
-export function toSlpAddress(address: string): string;
+export function addressesEqual(a: string | Address, b: string | Address, options?: { ignoreNamespace?: boolean; ignoreNetwork?: boolean }): boolean;
 
-export function toSlpRegtestAddress(address: string): string;
+export function canonicalKey(address: string | Address): string;
+
+export function fromCanonicalKey(key: string, options?: Partial<Pick<addressFields, "format" | "tokenSupport" | "includePrefix" | "case">>): string;
+
+export interface foundAddress {
+    address: string;
+    start: number;
+    end: number;
+    format: Format;
+    network: Network | string;
+    type: Type;
+    normalized: string;
+}
+
+export function findAddresses(text: string, options?: decodeOptions): Array<foundAddress>;
+
+export function mapAddresses<T>(value: T, fn: (address: string) => any): T;
+
+export interface conversionResult {
+    input: any;
+    output: string | null;
+    format: Format | null;
+    network: Network | string | null;
+    type: Type | null;
+    error: Error | null;
+}
+
+export function convertAddresses(addresses: Array<string>, options?: { format?: Format; network?: Network | string }): Array<conversionResult>;
+
+export function convertAddressesAsync(addresses: Array<string>, options?: { format?: Format; network?: Network | string; chunkSize?: number }): Promise<Array<conversionResult>>;
+
+export interface correction {
+    address: string;
+    positions: Array<number>;
+    format: Format;
+    network: Network | string;
+}
+
+export function suggestCorrections(address: string): Array<correction>;
+
+export function toOutputScript(address: string): Uint8Array;
+export function toOutputScript(address: string, options: { encoding: "hex" }): string;
+
+export function fromOutputScript(script: Uint8Array | Array<number> | string, options?: { format?: Format; network?: Network | string }): string;
+
+export function fromPublicKey(publicKey: Uint8Array | Array<number> | string, options?: { format?: Format; network?: Network | string }): string;
+
+export function fromRedeemScript(redeemScript: Uint8Array | Array<number> | string, options?: { format?: Format; network?: Network | string; hashSize?: 20 | 32 }): string;
+
+export interface paymentURI {
+    address: string;
+    format: Format;
+    network: Network | string;
+    type: Type;
+    amount?: string;
+    label?: string;
+    message?: string;
+    r?: string;
+    params: { [key: string]: string };
+}
+
+export function parsePaymentURI(uri: string): paymentURI;
+
+export function buildPaymentURI(address: string, options?: { amount?: number | string; label?: string; message?: string; r?: string; params?: { [key: string]: string | number } }): string;
+
+export interface slpTokenAmount {
+    tokenId: string;
+    amount: string;
+}
+
+export interface slpPaymentURI extends paymentURI {
+    tokens: Array<slpTokenAmount>;
+}
 
+export function parseSlpPaymentURI(uri: string, options?: { network?: Network | string }): slpPaymentURI;
+
+export function buildSlpPaymentURI(address: string, options?: { tokens?: Array<{ tokenId: string; amount: number | string }>; network?: Network | string; amount?: number | string; label?: string; message?: string; r?: string; params?: { [key: string]: string | number } }): string;
+
+export class Address {
+    private constructor(decoded: decoded);
+    static from(address: string | Address, options?: decodeOptions): Address;
+    readonly hash: Uint8Array;
+    readonly hashHex: string;
+    readonly format: Format;
+    readonly network: Network | string;
+    readonly type: Type;
+    readonly subtype: Subtype;
+    readonly tokenSupport: boolean;
+    readonly prefix: string | null;
+    toString(format?: Format): string;
+    toCashAddress(options?: outputOptions): string;
+    toLegacy(): string;
+    toSlp(options?: outputOptions): string;
+    equals(other: string | Address, options?: { ignoreNamespace?: boolean; ignoreNetwork?: boolean }): boolean;
+    toJSON(): string;
+}
\ No newline at end of file
@@ -6,8 +6,48 @@
  * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
  */
 
-var bs58check = require('bs58check')
-var cashaddr = require('cashaddrjs-slp')
+var cashaddr = require('./cashaddr')
+var Format = require('./constants').Format
+var Network = require('./constants').Network
+var Type = require('./constants').Type
+var Subtype = require('./constants').Subtype
+var ErrorCode = require('./constants').ErrorCode
+var InvalidAddressError = require('./errors').InvalidAddressError
+var UnsupportedConversionError = require('./errors').UnsupportedConversionError
+var UnsupportedScriptError = require('./errors').UnsupportedScriptError
+var InvalidPublicKeyError = require('./errors').InvalidPublicKeyError
+var InvalidPaymentURIError = require('./errors').InvalidPaymentURIError
+var getFurthestError = require('./internal/errors').getFurthestError
+var PREFIXED_FORMATS = require('./networks').PREFIXED_FORMATS
+var getPrefixNetwork = require('./networks').getPrefixNetwork
+var getPrefixes = require('./networks').getPrefixes
+var getPrefix = require('./networks').getPrefix
+var getPrefixFormat = require('./networks').getPrefixFormat
+var isKnownNetwork = require('./networks').isKnownNetwork
+var onRegisterNetwork = require('./internal/networks').onRegisterNetwork
+var registerNetwork = require('./networks').registerNetwork
+var decodeBase58Address = require('./base58').decodeBase58Address
+var isValidBase58Address = require('./base58').isValidBase58Address
+var encodeAsLegacy = require('./base58').encodeAsLegacy
+var encodeAsBitpay = require('./base58').encodeAsBitpay
+var diagnoseBase58Address = require('./base58').diagnoseBase58Address
+var decodePrefixedFormatAddress = require('./prefixed').decodePrefixedFormatAddress
+var decodePrefixedFormatAddressWithPrefix = require('./prefixed').decodePrefixedFormatAddressWithPrefix
+var decodeWithoutPrefix = require('./internal/prefixed').decodeWithoutPrefix
+var decodeOrNull = require('./internal/prefixed').decodeOrNull
+var encodeAsPrefixedFormat = require('./prefixed').encodeAsPrefixedFormat
+var encodeAsCashaddr = require('./prefixed').encodeAsCashaddr
+var encodeAsSlpaddr = require('./prefixed').encodeAsSlpaddr
+var encodeAsEcashaddr = require('./prefixed').encodeAsEcashaddr
+var encodeAsEtokenaddr = require('./prefixed').encodeAsEtokenaddr
+var encodeAsMainnetaddr = require('./prefixed').encodeAsMainnetaddr
+var encodeAsTestnetaddr = require('./prefixed').encodeAsTestnetaddr
+var encodeAsRegtestaddr = require('./prefixed').encodeAsRegtestaddr
+var encodeAsSlpRegtestaddr = require('./prefixed').encodeAsSlpRegtestaddr
+var getPrefixedFormat = require('./prefixed').getPrefixedFormat
+var getSubtype = require('./internal/prefixed').getSubtype
+var hash160 = require('./hash').hash160
+var sha256d = require('./hash').sha256d
 
 /**
  * General purpose Bitcoin Cash address detection and translation.<br />
@@ -17,49 +57,32 @@ var cashaddr = require('cashaddrjs-slp')
  *    <li> Legacy format </li>
  *    <li> Bitpay format </li>
  *    <li> Cashaddr format </li>
+ *    <li> Slpaddr format </li>
+ *    <li> eCash and eToken formats </li>
  * </ul>
+ * Built on separately importable modules, for applications which only need some of it:
+ * [constants]{@link module:constants}, [errors]{@link module:errors}, [networks]{@link module:networks},
+ * and the codecs of base58 formats, [base58]{@link module:base58}, and of cashaddr-based formats,
+ * [prefixed]{@link module:prefixed}.
  * @module bchaddr
  */
 
-/**
- * @static
- * Supported Bitcoin Cash address formats.
- */
-var Format = {}
-Format.Legacy = 'legacy'
-Format.Bitpay = 'bitpay'
-Format.Cashaddr = 'cashaddr'
-Format.Slpaddr = 'slpaddr'
-
-/**
- * @static
- * Supported networks.
- */
-var Network = {}
-Network.Mainnet = 'mainnet'
-Network.Testnet = 'testnet'
-
-/**
- * @static
- * Supported address types.
- */
-var Type = {}
-Type.P2PKH = 'p2pkh'
-Type.P2SH = 'p2sh'
-
 /**
  * Returns a boolean indicating whether the given input is a valid Bitcoin Cash address.
+ * Options restrict which valid addresses are accepted; functions taking the same options
+ * throw an {@link InvalidAddressError} with a specific code when an address is not accepted.
  * @static
  * @param {*} input - Any input to check for validity.
+ * @param {object} [options]
+ * @param {boolean} [options.requirePrefix] - Reject cashaddr-based addresses without prefix ({@link ErrorCode}.MissingPrefix).
+ * @param {string} [options.network] - Reject addresses from other networks ({@link ErrorCode}.UnexpectedNetwork).
+ * @param {Array<string>} [options.formats] - Reject addresses in other formats ({@link ErrorCode}.UnexpectedFormat).
+ * @param {Array<string>} [options.types] - Reject addresses of other types ({@link ErrorCode}.UnexpectedType).
  * @returns {boolean}
  */
-function isValidAddress (input) {
-  try {
-    decodeAddress(input)
-    return true
-  } catch (error) {
-    return false
-  }
+function isValidAddress (input, options) {
+  var decoded = decodeAddressIfValid(input)
+  return decoded !== null && getDecodeOptionsViolation(input, decoded, options) === null
 }
 
 /**
@@ -99,11 +122,13 @@ function detectAddressType (address) {
  * Translates the given address into legacy format.
  * @static
  * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @param {object} [options] - Restrictions on the accepted address, as taken by [#isValidAddress()]{@link isValidAddress}.
  * @return {string}
  * @throws {InvalidAddressError}
+ * @throws {UnsupportedConversionError}
  */
-function toLegacyAddress (address) {
-  var decoded = decodeAddress(address)
+function toLegacyAddress (address, options) {
+  var decoded = decodeAddress(address, options)
   if (decoded.format === Format.Legacy) {
     return address
   }
@@ -111,14 +136,16 @@ function toLegacyAddress (address) {
 }
 
 /**
- * Translates the given address into bitpay format.
+ * Translates the given address into bitpay format, which only exists on mainnet.
  * @static
  * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @param {object} [options] - Restrictions on the accepted address, as taken by [#isValidAddress()]{@link isValidAddress}.
  * @return {string}
  * @throws {InvalidAddressError}
+ * @throws {UnsupportedConversionError}
  */
-function toBitpayAddress (address) {
-  var decoded = decodeAddress(address)
+function toBitpayAddress (address, options) {
+  var decoded = decodeAddress(address, options)
   if (decoded.format === Format.Bitpay) {
     return address
   }
@@ -129,422 +156,880 @@ function toBitpayAddress (address) {
  * Translates the given address into cashaddr format.
  * @static
  * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @param {object} [options] - Restrictions on the accepted address, as taken by [#isValidAddress()]{@link isValidAddress}, and output options.
+ * @param {boolean} [options.includePrefix] - Whether to include the prefix, true by default.
+ * @param {string} [options.case] - Letter case of the result, either 'lower', the default, or 'upper' for compact QR codes.
  * @return {string}
  * @throws {InvalidAddressError}
  */
-function toCashAddress (address) {
-  var decoded = decodeAddress(address)
-  return encodeAsCashaddr(decoded)
+function toCashAddress (address, options) {
+  var decoded = decodeAddress(address, options)
+  return encodeAsCashaddr(decoded, options)
 }
 
 /**
  * Translates the given address into cashaddr format.
  * @static
  * @param {string} address - A valid address in any format.
+ * @param {object} [options] - Restrictions on the accepted address and output options, as taken by [#toCashAddress()]{@link toCashAddress}.
  * @return {string}
  * @throws {InvalidAddressError}
+ * @throws {UnsupportedConversionError}
  */
-function toSlpAddress (address) {
-  var decoded = decodeAddress(address)
-  return encodeAsSlpaddr(decoded)
+function toSlpAddress (address, options) {
+  var decoded = decodeAddress(address, options)
+  return encodeAsSlpaddr(decoded, options)
+}
+
+/**
+ * Translates the given address into eCash format.
+ * @static
+ * @param {string} address - A valid address in any format.
+ * @param {object} [options] - Restrictions on the accepted address and output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @return {string}
+ * @throws {InvalidAddressError}
+ * @throws {UnsupportedConversionError}
+ */
+function toEcashAddress (address, options) {
+  var decoded = decodeAddress(address, options)
+  return encodeAsEcashaddr(decoded, options)
+}
+
+/**
+ * Translates the given address into eToken format.
+ * @static
+ * @param {string} address - A valid address in any format.
+ * @param {object} [options] - Restrictions on the accepted address and output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @return {string}
+ * @throws {InvalidAddressError}
+ * @throws {UnsupportedConversionError}
+ */
+function toEtokenAddress (address, options) {
+  var decoded = decodeAddress(address, options)
+  return encodeAsEtokenaddr(decoded, options)
 }
 
 /**
  * Translates the given address into mainnet format.
  * @static
  * @param {string} address - A valid address in any format.
+ * @param {object} [options] - Restrictions on the accepted address and output options, as taken by [#toCashAddress()]{@link toCashAddress}.
  * @return {string}
  * @throws {InvalidAddressError}
  */
-function toMainnetAddress (address) {
-  var decoded = decodeAddress(address)
-  return encodeAsMainnetaddr(decoded)
+function toMainnetAddress (address, options) {
+  var decoded = decodeAddress(address, options)
+  return encodeAsMainnetaddr(decoded, options)
 }
 
 /**
  * Translates the given address into testnet format.
  * @static
  * @param {string} address - A valid address in any format.
+ * @param {object} [options] - Restrictions on the accepted address and output options, as taken by [#toCashAddress()]{@link toCashAddress}.
  * @return {string}
  * @throws {InvalidAddressError}
+ * @throws {UnsupportedConversionError}
  */
-function toTestnetAddress (address) {
-  var decoded = decodeAddress(address)
-  return encodeAsTestnetaddr(decoded)
+function toTestnetAddress (address, options) {
+  var decoded = decodeAddress(address, options)
+  return encodeAsTestnetaddr(decoded, options)
 }
 
 /**
  * Translates the given address into regtest format.
  * @static
  * @param {string} address - A valid address in any format.
+ * @param {object} [options] - Restrictions on the accepted address and output options, as taken by [#toCashAddress()]{@link toCashAddress}.
  * @return {string}
  * @throws {InvalidAddressError}
+ * @throws {UnsupportedConversionError}
  */
-function toRegtestAddress (address) {
-  var decoded = decodeAddress(address)
-  return encodeAsRegtestaddr(decoded)
+function toRegtestAddress (address, options) {
+  var decoded = decodeAddress(address, options)
+  return encodeAsRegtestaddr(decoded, options)
 }
 
 /**
  * Translates the given address into regtest format.
  * @static
  * @param {string} address - A valid address in any format.
+ * @param {object} [options] - Restrictions on the accepted address and output options, as taken by [#toCashAddress()]{@link toCashAddress}.
  * @return {string}
  * @throws {InvalidAddressError}
  */
-function toSlpRegtestAddress (address) {
-  var decoded = decodeAddress(address)
-  return encodeAsSlpRegtestaddr(decoded)
+function toSlpRegtestAddress (address, options) {
+  var decoded = decodeAddress(address, options)
+  return encodeAsSlpRegtestaddr(decoded, options)
 }
 
 /**
- * Version byte table for base58 formats.
- * @private
+ * Translates the given address into a token-aware address, keeping its cashaddr-based format.
+ * Base58 addresses are translated into cashaddr format.
+ * @static
+ * @param {string} address - A valid address in any format.
+ * @param {object} [options] - Restrictions on the accepted address and output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @return {string}
+ * @throws {InvalidAddressError}
  */
-var VERSION_BYTE = {}
-VERSION_BYTE[Format.Legacy] = {}
-VERSION_BYTE[Format.Legacy][Network.Mainnet] = {}
-VERSION_BYTE[Format.Legacy][Network.Mainnet][Type.P2PKH] = 0
-VERSION_BYTE[Format.Legacy][Network.Mainnet][Type.P2SH] = 5
-VERSION_BYTE[Format.Legacy][Network.Testnet] = {}
-VERSION_BYTE[Format.Legacy][Network.Testnet][Type.P2PKH] = 111
-VERSION_BYTE[Format.Legacy][Network.Testnet][Type.P2SH] = 196
-VERSION_BYTE[Format.Bitpay] = {}
-VERSION_BYTE[Format.Bitpay][Network.Mainnet] = {}
-VERSION_BYTE[Format.Bitpay][Network.Mainnet][Type.P2PKH] = 28
-VERSION_BYTE[Format.Bitpay][Network.Mainnet][Type.P2SH] = 40
-VERSION_BYTE[Format.Bitpay][Network.Testnet] = {}
-VERSION_BYTE[Format.Bitpay][Network.Testnet][Type.P2PKH] = 111
-VERSION_BYTE[Format.Bitpay][Network.Testnet][Type.P2SH] = 196
+function toTokenAwareAddress (address, options) {
+  var decoded = decodeAddress(address, options)
+  decoded.tokenSupport = true
+  return encodeAsPrefixedFormat(decoded, getPrefixedFormat(decoded), decoded.network, options)
+}
 
 /**
- * Decodes the given address into its constituting hash, format, network and type.
- * @private
- * @param {string} address - A valid Bitcoin Cash address in any format.
- * @return {object}
+ * Translates the given address into an address without token support, keeping its cashaddr-based format.
+ * Base58 addresses are translated into cashaddr format.
+ * @static
+ * @param {string} address - A valid address in any format.
+ * @param {object} [options] - Restrictions on the accepted address and output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @return {string}
  * @throws {InvalidAddressError}
  */
-function decodeAddress (address) {
-  try {
-    return decodeBase58Address(address)
-  } catch (error) {
+function toNonTokenAddress (address, options) {
+  var decoded = decodeAddress(address, options)
+  decoded.tokenSupport = false
+  return encodeAsPrefixedFormat(decoded, getPrefixedFormat(decoded), decoded.network, options)
+}
+
+/**
+ * Translates the given address into any combination of format, network and type. Whatever is
+ * not given is kept from the address, so that, unlike [#toMainnetAddress()]{@link toMainnetAddress},
+ * a legacy address stays a legacy address when only its network changes.
+ * @static
+ * @param {string} address - A valid address in any format.
+ * @param {object} [options] - The fields taken by [#encodeAddress()]{@link encodeAddress}, except for the hash.
+ * @return {string}
+ * @throws {InvalidAddressError}
+ * @throws {UnsupportedConversionError}
+ * @throws {TypeError}
+ */
+function convertAddress (address, options) {
+  options = options || {}
+  var decoded = decodeAddress(address)
+  return encodeAddress({
+    hash: decoded.hash,
+    format: options.format || decoded.format,
+    network: options.network || decoded.network,
+    type: options.type || decoded.type,
+    tokenSupport: options.tokenSupport !== undefined ? options.tokenSupport : decoded.tokenSupport,
+    includePrefix: options.includePrefix,
+    case: options.case
+  })
+}
+
+/**
+ * Encodes the given hash into an address of the given format, network and type.
+ * @static
+ * @param {object} fields
+ * @param {Uint8Array|Array<number>|string} fields.hash - 20-byte hash or, for P2SH addresses, 32-byte hash, as bytes or a hex string.
+ * @param {string} fields.type - Address type.
+ * @param {string} [fields.format] - Address format, cashaddr by default.
+ * @param {string} [fields.network] - Address network, mainnet by default.
+ * @param {boolean} [fields.tokenSupport] - Whether the address signals token support, false by default.
+ * Only cashaddr-based formats support tokens.
+ * @param {boolean} [fields.includePrefix] - Output option, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @param {string} [fields.case] - Output option, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @return {string}
+ * @throws {UnsupportedConversionError}
+ * @throws {TypeError}
+ */
+function encodeAddress (fields) {
+  fields = fields || {}
+  var hash = getBytes(fields.hash)
+  var format = fields.format || Format.Cashaddr
+  var network = fields.network || Network.Mainnet
+  if (!hash || (hash.length !== 20 && hash.length !== 32)) {
+    throw new TypeError('Expected a 20-byte or 32-byte hash, received: ' + fields.hash + '.')
   }
-  try {
-    return decodeCashAddress(address)
-  } catch (error) {
+  if (!hasValue(Type, fields.type)) {
+    throw new TypeError('Unsupported address type: ' + fields.type + '.')
   }
-  try {
-    return decodeSlpAddress(address)
-  } catch (error) {
+  if (!hasValue(Format, format)) {
+    throw new TypeError('Unsupported address format: ' + format + '.')
   }
-  throw new InvalidAddressError()
+  if (!isKnownNetwork(network)) {
+    throw new TypeError('Unknown network: ' + network + '.')
+  }
+  var subtype = getSubtype(fields.type, hash.length)
+  if (!subtype) {
+    throw new UnsupportedConversionError('Addresses of type ' + fields.type + ' cannot have a ' + hash.length + '-byte hash.')
+  }
+  return encodeAsFormat({
+    hash: hash,
+    format: format,
+    network: network,
+    type: fields.type,
+    subtype: subtype,
+    hashSize: hash.length,
+    tokenSupport: Boolean(fields.tokenSupport)
+  }, format, fields)
 }
 
 /**
- * Length of a valid base58check encoding payload: 1 byte for
- * the version byte plus 20 bytes for a RIPEMD-160 hash.
+ * Returns true if the given value is one of the values of the given enumeration.
  * @private
+ * @param {object} enumeration - E.g.: {@link Format}.
+ * @param {*} value
+ * @return {boolean}
  */
-var BASE_58_CHECK_PAYLOAD_LENGTH = 21
+function hasValue (enumeration, value) {
+  return Object.keys(enumeration).some(function (key) {
+    return enumeration[key] === value
+  })
+}
 
 /**
- * Attempts to decode the given address assuming it is a base58 address.
+ * Namespace of the addresses in each format. Addresses in different namespaces are meant
+ * for different assets, even when they pay to the same output script.
  * @private
- * @param {string} address - A valid Bitcoin Cash address in any format.
- * @return {object}
+ */
+var NAMESPACE = {}
+NAMESPACE[Format.Legacy] = 'bch'
+NAMESPACE[Format.Bitpay] = 'bch'
+NAMESPACE[Format.Cashaddr] = 'bch'
+NAMESPACE[Format.Slpaddr] = 'slp'
+NAMESPACE[Format.Ecash] = 'ecash'
+NAMESPACE[Format.Etoken] = 'etoken'
+
+/**
+ * Chain of the addresses in each format, as found in canonical keys, and the format
+ * into which keys of each chain are encoded by default.
+ * @private
+ */
+var CHAIN = {}
+CHAIN[Format.Legacy] = 'bch'
+CHAIN[Format.Bitpay] = 'bch'
+CHAIN[Format.Cashaddr] = 'bch'
+CHAIN[Format.Slpaddr] = 'bch'
+CHAIN[Format.Ecash] = 'ecash'
+CHAIN[Format.Etoken] = 'ecash'
+var CHAIN_FORMAT = { bch: Format.Cashaddr, ecash: Format.Ecash }
+
+/**
+ * Returns true if the given addresses are the same destination, whatever their formats
+ * and token support. Addresses of the same namespace and network are required by default:
+ * for instance, cashaddr and legacy addresses may be equal, but cashaddr and slpaddr addresses
+ * may not, unless namespaces are ignored.
+ * @static
+ * @param {string|Address} a - A valid address in any format.
+ * @param {string|Address} b - A valid address in any format.
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreNamespace] - Consider addresses from different namespaces, such as cashaddr and slpaddr.
+ * @param {boolean} [options.ignoreNetwork] - Consider addresses from different networks, such as mainnet and testnet.
+ * @return {boolean}
  * @throws {InvalidAddressError}
  */
-function decodeBase58Address (address) {
-  try {
-    var payload = bs58check.decode(address)
-    if (payload.length !== BASE_58_CHECK_PAYLOAD_LENGTH) {
-      throw new InvalidAddressError()
+function addressesEqual (a, b, options) {
+  options = options || {}
+  a = Address.from(a)
+  b = Address.from(b)
+  return a.type === b.type && a.hashHex === b.hashHex &&
+    (options.ignoreNetwork || a.network === b.network) &&
+    (options.ignoreNamespace || NAMESPACE[a.format] === NAMESPACE[b.format])
+}
+
+/**
+ * Returns a key identifying the destination of the given address, whatever its format,
+ * made up of its chain, type, network and hash. E.g.: 'bch:p2pkh:mainnet:6f4b705e3e0407bf3159e9c4050df1b791d2c3f6'.
+ * The chain is either 'bch', for legacy, bitpay, cashaddr and slpaddr addresses, or 'ecash', for
+ * eCash and eToken addresses. Addresses from different namespaces of the same chain or with
+ * different token support share their key.
+ * @static
+ * @param {string|Address} address - A valid address in any format.
+ * @return {string}
+ * @throws {InvalidAddressError}
+ */
+function canonicalKey (address) {
+  address = Address.from(address)
+  return CHAIN[address.format] + ':' + address.type + ':' + address.network + ':' + address.hashHex
+}
+
+/**
+ * Returns the address identified by the given key, as returned by [#canonicalKey()]{@link canonicalKey}.
+ * Keys are encoded into cashaddr or eCash format by default, depending on their chain.
+ * @static
+ * @param {string} key
+ * @param {object} [options] - Format, token support and output options, as taken by [#encodeAddress()]{@link encodeAddress}.
+ * The format must belong to the chain of the key.
+ * @return {string}
+ * @throws {UnsupportedConversionError}
+ * @throws {TypeError}
+ */
+function fromCanonicalKey (key, options) {
+  options = options || {}
+  var match = typeof key === 'string' && /^(bch|ecash):([a-z0-9]+):(.+):((?:[0-9a-f]{2})+)$/.exec(key)
+  if (!match) {
+    throw new TypeError('Invalid canonical key: ' + key + '.')
+  }
+  var format = options.format || CHAIN_FORMAT[match[1]]
+  if (hasValue(Format, format) && CHAIN[format] !== match[1]) {
+    throw new UnsupportedConversionError('Keys of the ' + match[1] + ' chain cannot be encoded in ' + format + ' format.')
+  }
+  return encodeAddress({
+    hash: match[4],
+    type: match[2],
+    network: match[3],
+    format: format,
+    tokenSupport: options.tokenSupport,
+    includePrefix: options.includePrefix,
+    case: options.case
+  })
+}
+
+/**
+ * Finds every valid address in the given text, such as a support ticket, a chat log or a CSV file.
+ * Candidates are runs of letters and digits, optionally preceded by a prefix, which are then confirmed
+ * by decoding them. Candidates which are not valid addresses by themselves and end a line are joined
+ * with the run which starts the next one, so that addresses wrapped over several lines are found too,
+ * as long as no line break falls within the prefix or right after it. Each result holds the address as
+ * found, with any line breaks removed, its offsets within the text, its format, network and type, and
+ * its normalized form, which is the address in its own format, with prefix and in lowercase for
+ * cashaddr-based formats.
+ * @static
+ * @param {string} text
+ * @param {object} [options] - Restrictions on the found addresses, as taken by [#isValidAddress()]{@link isValidAddress}.
+ * @return {Array<object>}
+ * @throws {TypeError}
+ */
+function findAddresses (text, options) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Expected a string, received: ' + text + '.')
+  }
+  var results = []
+  var candidate = /[A-Za-z0-9]+(?::[A-Za-z0-9]+)?/g
+  var match
+  while ((match = candidate.exec(text)) !== null) {
+    var address = match[0]
+    var end = candidate.lastIndex
+    var result = getFoundCandidate(address, match.index, end, options)
+    var continuation
+    while (!result && address.length < MAX_ADDRESS_LENGTH && (continuation = getLineContinuation(text, end)) !== null) {
+      address += continuation.run
+      end = continuation.end
+      result = getFoundCandidate(address, match.index, end, options)
     }
-    var versionByte = payload[0]
-    var hash = Array.prototype.slice.call(payload, 1)
-    switch (versionByte) {
-      case VERSION_BYTE[Format.Legacy][Network.Mainnet][Type.P2PKH]:
-        return {
-          hash: hash,
-          format: Format.Legacy,
-          network: Network.Mainnet,
-          type: Type.P2PKH
-        }
-      case VERSION_BYTE[Format.Legacy][Network.Mainnet][Type.P2SH]:
-        return {
-          hash: hash,
-          format: Format.Legacy,
-          network: Network.Mainnet,
-          type: Type.P2SH
-        }
-      case VERSION_BYTE[Format.Legacy][Network.Testnet][Type.P2PKH]:
-        return {
-          hash: hash,
-          format: Format.Legacy,
-          network: Network.Testnet,
-          type: Type.P2PKH
-        }
-      case VERSION_BYTE[Format.Legacy][Network.Testnet][Type.P2SH]:
-        return {
-          hash: hash,
-          format: Format.Legacy,
-          network: Network.Testnet,
-          type: Type.P2SH
-        }
-      case VERSION_BYTE[Format.Bitpay][Network.Mainnet][Type.P2PKH]:
-        return {
-          hash: hash,
-          format: Format.Bitpay,
-          network: Network.Mainnet,
-          type: Type.P2PKH
-        }
-      case VERSION_BYTE[Format.Bitpay][Network.Mainnet][Type.P2SH]:
-        return {
-          hash: hash,
-          format: Format.Bitpay,
-          network: Network.Mainnet,
-          type: Type.P2SH
-        }
+    if (result) {
+      results.push(result)
+      candidate.lastIndex = end
     }
-  } catch (error) {
   }
-  throw new InvalidAddressError()
+  return results
 }
 
 /**
- * Attempts to decode the given address assuming it is a cashaddr address.
+ * Shortest base58 address. No shorter candidate is worth decoding.
  * @private
- * @param {string} address - A valid Bitcoin Cash address in any format.
- * @return {object}
- * @throws {InvalidAddressError}
  */
-function decodeCashAddress (address) {
-  if (address.indexOf(':') !== -1) {
-    try {
-      return decodeCashAddressWithPrefix(address)
-    } catch (error) {
+var MIN_ADDRESS_LENGTH = 25
+
+/**
+ * Longest address, prefix included, which is worth joining across line breaks.
+ * @private
+ */
+var MAX_ADDRESS_LENGTH = 128
+
+/**
+ * Returns the run of letters and digits starting the line which follows the given offset, along
+ * with the offset at which it ends, or null if the given offset is not followed by a line break.
+ * @private
+ * @param {string} text
+ * @param {number} offset
+ * @return {object|null}
+ */
+function getLineContinuation (text, offset) {
+  var start = text.charAt(offset) === '\r' ? offset + 1 : offset
+  if (text.charAt(start) !== '\n') {
+    return null
+  }
+  var run = /^[A-Za-z0-9]+/.exec(text.slice(start + 1, start + 1 + MAX_ADDRESS_LENGTH))
+  return run === null ? null : { run: run[0], end: start + 1 + run[0].length }
+}
+
+/**
+ * Returns the result of [#findAddresses()]{@link findAddresses} for the given candidate, or for the
+ * address following its prefix when the prefix is unknown, or null if neither is a valid address.
+ * @private
+ * @param {string} address
+ * @param {number} start
+ * @param {number} end
+ * @param {object} [options]
+ * @return {object|null}
+ */
+function getFoundCandidate (address, start, end, options) {
+  var result = getFoundAddress(address, start, end, options)
+  var separator = address.indexOf(':')
+  if (!result && separator !== -1) {
+    result = getFoundAddress(address.slice(separator + 1), start + separator + 1, end, options)
+  }
+  return result
+}
+
+/**
+ * Returns the result of [#findAddresses()]{@link findAddresses} for the given candidate
+ * found between the given offsets, or null if it is not a valid address.
+ * @private
+ * @param {string} address
+ * @param {number} start
+ * @param {number} end
+ * @param {object} [options]
+ * @return {object|null}
+ */
+function getFoundAddress (address, start, end, options) {
+  var decoded = address.length >= MIN_ADDRESS_LENGTH ? decodeAddressIfValid(address) : null
+  if (decoded === null || getDecodeOptionsViolation(address, decoded, options) !== null) {
+    return null
+  }
+  return {
+    address: address,
+    start: start,
+    end: end,
+    format: decoded.format,
+    network: decoded.network,
+    type: decoded.type,
+    normalized: encodeAsFormat(decoded, decoded.format)
+  }
+}
+
+/**
+ * Returns a deep copy of the given JSON value in which every string which is a valid address
+ * is replaced by the result of calling the given function on it. Strings which merely contain
+ * addresses are left as they are, and so are object keys.
+ * @static
+ * @param {*} value - Any JSON value.
+ * @param {function} fn - Called with each address, e.g. [#toCashAddress()]{@link toCashAddress}.
+ * @return {*}
+ */
+function mapAddresses (value, fn) {
+  if (typeof value === 'string') {
+    return isValidAddress(value) ? fn(value) : value
+  }
+  if (Array.isArray(value)) {
+    return value.map(function (item) {
+      return mapAddresses(item, fn)
+    })
+  }
+  if (value !== null && typeof value === 'object') {
+    var result = {}
+    Object.keys(value).forEach(function (key) {
+      result[key] = mapAddresses(value[key], fn)
+    })
+    return result
+  }
+  return value
+}
+
+/**
+ * Translates every given address into the given format and network, returning one result per
+ * address instead of throwing. Each result holds the input, and either the output with its format,
+ * network and type, or the error which prevented the translation. Repeated addresses are only
+ * translated once.
+ * @static
+ * @param {Array<string>} addresses - Addresses in any format.
+ * @param {object} [options]
+ * @param {string} [options.format] - Format to translate into. Each address keeps its own by default.
+ * @param {string} [options.network] - Network to translate into. Each address keeps its own by default.
+ * @return {Array<object>}
+ * @throws {TypeError}
+ */
+function convertAddresses (addresses, options) {
+  if (!Array.isArray(addresses)) {
+    throw new TypeError('Expected an array of addresses, received: ' + addresses + '.')
+  }
+  validateConversionOptions(options || {})
+  var cache = Object.create(null)
+  return addresses.map(function (address) {
+    return convertAddressWithCache(address, options || {}, cache)
+  })
+}
+
+/**
+ * Asynchronous version of [#convertAddresses()]{@link convertAddresses}, which translates the given
+ * addresses in chunks and yields to the event loop between chunks.
+ * @static
+ * @param {Array<string>} addresses - Addresses in any format.
+ * @param {object} [options] - As taken by [#convertAddresses()]{@link convertAddresses}.
+ * @param {number} [options.chunkSize] - Number of addresses to translate between yields, 1000 by default.
+ * Must be a positive integer.
+ * @return {Promise<Array<object>>} Rejected with a TypeError on invalid arguments.
+ */
+function convertAddressesAsync (addresses, options) {
+  options = options || {}
+  var chunkSize = options.chunkSize === undefined ? 1000 : options.chunkSize
+  var cache = Object.create(null)
+  var results = []
+  return new Promise(function (resolve, reject) {
+    if (!Array.isArray(addresses)) {
+      reject(new TypeError('Expected an array of addresses, received: ' + addresses + '.'))
+      return
     }
-  } else {
-    var prefixes = ['bitcoincash', 'bchtest', 'regtest', 'bchreg']
-    for (var i = 0; i < prefixes.length; ++i) {
+    if (typeof chunkSize !== 'number' || chunkSize < 1 || Math.floor(chunkSize) !== chunkSize) {
+      reject(new TypeError('Expected a positive integer chunk size, received: ' + chunkSize + '.'))
+      return
+    }
+    validateConversionOptions(options)
+    var convertChunk = function () {
       try {
-        var prefix = prefixes[i]
-        return decodeCashAddressWithPrefix(prefix + ':' + address)
+        var end = Math.min(results.length + chunkSize, addresses.length)
+        while (results.length < end) {
+          results.push(convertAddressWithCache(addresses[results.length], options, cache))
+        }
       } catch (error) {
+        reject(error)
+        return
+      }
+      if (results.length === addresses.length) {
+        resolve(results)
+      } else {
+        setTimeout(convertChunk, 0)
       }
     }
+    convertChunk()
+  })
+}
+
+/**
+ * Throws unless the format and network to translate into, if any, are known.
+ * @private
+ * @param {object} options
+ * @throws {TypeError}
+ */
+function validateConversionOptions (options) {
+  if (options.format !== undefined && !hasValue(Format, options.format)) {
+    throw new TypeError('Unsupported address format: ' + options.format + '.')
+  }
+  if (options.network !== undefined && !isKnownNetwork(options.network)) {
+    throw new TypeError('Unknown network: ' + options.network + '.')
   }
-  throw new InvalidAddressError()
 }
 
 /**
- * Attempts to decode the given address assuming it is a cashaddr address with explicit prefix.
+ * Translates the given address as done by [#convertAddresses()]{@link convertAddresses},
+ * reusing the outcome of previous translations of the same address.
  * @private
- * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @param {*} address
+ * @param {object} options
+ * @param {object} cache - Outcome of each translated address.
  * @return {object}
- * @throws {InvalidAddressError}
  */
-function decodeCashAddressWithPrefix (address) {
-  try {
-    var decoded = cashaddr.decode(address)
-    var hash = Array.prototype.slice.call(decoded.hash, 0)
-    var type = decoded.type === 'P2PKH' ? Type.P2PKH : Type.P2SH
-    switch (decoded.prefix) {
-      case 'bitcoincash':
-        return {
-          hash: hash,
-          format: Format.Cashaddr,
-          network: Network.Mainnet,
-          type: type
-        }
-      case 'bchtest':
-      case 'regtest':
-      case 'bchreg':
-        return {
-          hash: hash,
-          format: Format.Cashaddr,
-          network: Network.Testnet,
-          type: type
-        }
+function convertAddressWithCache (address, options, cache) {
+  var outcome = typeof address === 'string' ? cache[address] : undefined
+  if (!outcome) {
+    outcome = convertAddressSafely(address, options)
+    if (typeof address === 'string') {
+      cache[address] = outcome
     }
-  } catch (error) {
   }
-  throw new InvalidAddressError()
+  return {
+    input: address,
+    output: outcome.output,
+    format: outcome.format,
+    network: outcome.network,
+    type: outcome.type,
+    error: outcome.error
+  }
 }
 
 /**
- * Attempts to decode the given address assuming it is a slpaddr address.
+ * Translates the given address into the given format and network, returning the error instead of throwing it.
  * @private
- * @param {string} address - A valid SLP address in any format.
+ * @param {*} address
+ * @param {object} options
  * @return {object}
+ */
+function convertAddressSafely (address, options) {
+  try {
+    var decoded = decodeAddress(address)
+    var format = options.format || decoded.format
+    decoded.network = options.network || decoded.network
+    return {
+      output: encodeAsFormat(decoded, format),
+      format: format,
+      network: decoded.network,
+      type: decoded.type,
+      error: null
+    }
+  } catch (error) {
+    if (!(error instanceof InvalidAddressError) && !(error instanceof UnsupportedConversionError)) {
+      throw error
+    }
+    return { output: null, format: null, network: null, type: null, error: error }
+  }
+}
+
+/**
+ * Suggests corrections for an address in a cashaddr-based format with up to two mistyped characters,
+ * located by means of the address' checksum. Addresses without a prefix are checked against
+ * every known prefix. Returns an empty array for valid addresses or when no correction exists.<br />
+ * Suggestions must be confirmed by the user and never applied automatically.
+ * @static
+ * @param {string} address - An address in a cashaddr-based format, with or without prefix.
+ * @return {Array<object>} Candidate addresses, written as given, each with its format,
+ * network and the indices of the changed characters.
  * @throws {InvalidAddressError}
  */
-function decodeSlpAddress (address) {
-  if (address.indexOf(':') !== -1) {
+function suggestCorrections (address) {
+  if (isValidAddress(address)) {
+    return []
+  }
+  if (typeof address !== 'string' || address.length === 0) {
+    throw new InvalidAddressError(ErrorCode.InvalidInput, 'Expected a non-empty string, received: ' + address + '.')
+  }
+  var prefixed = address.indexOf(':') !== -1
+  var upperCase = address === address.toUpperCase()
+  var prefixes = PREFIXED_FORMATS.reduce(function (prefixes, format) {
+    return prefixes.concat(getPrefixes(format))
+  }, [])
+  var candidates = prefixed ? [address] : prefixes.map(function (prefix) {
+    return (upperCase ? prefix.toUpperCase() : prefix) + ':' + address
+  })
+  var suggestions = []
+  candidates.forEach(function (candidate) {
+    var offset = candidate.length - address.length
+    var corrections
     try {
-      return decodeSlpAddressWithPrefix(address)
+      corrections = cashaddr.findCorrections(candidate)
     } catch (error) {
+      return
     }
-  } else {
-    var prefixes = ['simpleledger', 'slptest', 'slpreg']
-    for (var i = 0; i < prefixes.length; ++i) {
+    corrections.forEach(function (correction) {
+      var decoded
       try {
-        var prefix = prefixes[i]
-        return decodeSlpAddressWithPrefix(prefix + ':' + address)
+        decoded = decodeAddress(correction.address)
       } catch (error) {
+        return
       }
-    }
-  }
-  throw new InvalidAddressError()
+      suggestions.push({
+        address: correction.address.slice(offset),
+        positions: correction.positions.map(function (position) {
+          return position - offset
+        }),
+        format: decoded.format,
+        network: decoded.network
+      })
+    })
+  })
+  return suggestions
 }
 
 /**
- * Attempts to decode the given address assuming it is a slpaddr address with explicit prefix.
+ * Decodes the given address into its constituting hash, format, network, type and token support.
+ * When decoding fails, the error thrown carries a reason code, the format the address most
+ * likely matched and the failure of each decoder, keyed by 'base58' and each cashaddr-based format.
  * @private
- * @param {string} address - A valid SLP address in any format.
+ * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @param {object} [options] - Restrictions on the accepted address, as taken by [#isValidAddress()]{@link isValidAddress}.
  * @return {object}
  * @throws {InvalidAddressError}
  */
-function decodeSlpAddressWithPrefix (address) {
-  try {
-    var decoded = cashaddr.decode(address)
-    var hash = Array.prototype.slice.call(decoded.hash, 0)
-    var type = decoded.type === 'P2PKH' ? Type.P2PKH : Type.P2SH
-    switch (decoded.prefix) {
-      case 'simpleledger':
-        return {
-          hash: hash,
-          format: Format.Slpaddr,
-          network: Network.Mainnet,
-          type: type
-        }
-      case 'slptest':
-      case 'slpreg':
-        return {
-          hash: hash,
-          format: Format.Slpaddr,
-          network: Network.Testnet,
-          type: type
-        }
-    }
-  } catch (error) {
+function decodeAddress (address, options) {
+  var decoded = decodeAddressIfValid(address)
+  if (decoded === null) {
+    throw getDecodingError(address)
   }
-  throw new InvalidAddressError()
+  var violation = getDecodeOptionsViolation(address, decoded, options)
+  if (violation !== null) {
+    throw new InvalidAddressError(violation.code, violation.message, decoded.format)
+  }
+  return decoded
 }
 
 /**
- * Encodes the given decoded address into legacy format.
+ * Returns the code and message of the first restriction in the given options which
+ * the given decoded address does not satisfy, or null if it satisfies all of them.
  * @private
+ * @param {string} address
  * @param {object} decoded
- * @returns {string}
+ * @param {object} [options]
+ * @return {object|null}
  */
-function encodeAsLegacy (decoded) {
-  var versionByte = VERSION_BYTE[Format.Legacy][decoded.network][decoded.type]
-  var buffer = Buffer.alloc(1 + decoded.hash.length)
-  buffer[0] = versionByte
-  buffer.set(decoded.hash, 1)
-  return bs58check.encode(buffer)
+function getDecodeOptionsViolation (address, decoded, options) {
+  options = options || {}
+  if (options.requirePrefix && PREFIXED_FORMATS.indexOf(decoded.format) !== -1 && address.indexOf(':') === -1) {
+    return { code: ErrorCode.MissingPrefix, message: 'Missing ' + decoded.format + ' prefix: ' + address + '.' }
+  }
+  if (options.network && decoded.network !== options.network) {
+    return { code: ErrorCode.UnexpectedNetwork, message: 'Expected a ' + options.network + ' address, received a ' + decoded.network + ' address.' }
+  }
+  if (options.formats && options.formats.indexOf(decoded.format) === -1) {
+    return { code: ErrorCode.UnexpectedFormat, message: 'Expected an address in ' + options.formats.join(', ') + ' format, received a ' + decoded.format + ' address.' }
+  }
+  if (options.types && options.types.indexOf(decoded.type) === -1) {
+    return { code: ErrorCode.UnexpectedType, message: 'Expected a ' + options.types.join(', ') + ' address, received a ' + decoded.type + ' address.' }
+  }
+  return null
 }
 
 /**
- * Encodes the given decoded address into bitpay format.
+ * Decodes the given address, or returns null if it is not valid. Results are
+ * memoized when the decoding cache is enabled through {@link setDecodeCacheSize}.
  * @private
- * @param {object} decoded
- * @returns {string}
+ * @param {*} address
+ * @return {object|null}
  */
-function encodeAsBitpay (decoded) {
-  var versionByte = VERSION_BYTE[Format.Bitpay][decoded.network][decoded.type]
-  var buffer = Buffer.alloc(1 + decoded.hash.length)
-  buffer[0] = versionByte
-  buffer.set(decoded.hash, 1)
-  return bs58check.encode(buffer)
+function decodeAddressIfValid (address) {
+  if (typeof address !== 'string' || DECODE_CACHE === null) {
+    return dispatchDecoder(address)
+  }
+  if (DECODE_CACHE.has(address)) {
+    var cached = DECODE_CACHE.get(address)
+    DECODE_CACHE.delete(address)
+    DECODE_CACHE.set(address, cached)
+    return copyDecoded(cached)
+  }
+  var decoded = dispatchDecoder(address)
+  if (DECODE_CACHE.size >= DECODE_CACHE_SIZE) {
+    DECODE_CACHE.delete(DECODE_CACHE.keys().next().value)
+  }
+  DECODE_CACHE.set(address, copyDecoded(decoded))
+  return decoded
 }
 
 /**
- * Encodes the given decoded address into cashaddr format.
+ * Memo cache of decoded addresses, or null while disabled. Entries are evicted
+ * in least recently used order once the cache holds {@link DECODE_CACHE_SIZE} entries.
  * @private
- * @param {object} decoded
- * @returns {string}
  */
-function encodeAsCashaddr (decoded) {
-  var prefix = decoded.network === Network.Mainnet ? 'bitcoincash' : 'bchtest'
-  var type = decoded.type === Type.P2PKH ? 'P2PKH' : 'P2SH'
-  var hash = Uint8Array.from(decoded.hash)
-  return cashaddr.encode(prefix, type, hash)
+var DECODE_CACHE = null
+
+/**
+ * Maximum number of entries in the decoding cache.
+ * @private
+ */
+var DECODE_CACHE_SIZE = 0
+
+/**
+ * Enables the memo cache used when decoding addresses, holding up to the given
+ * number of addresses, or disables it if the given size is 0, which is the default.
+ * Every function taking an address benefits from it, which pays off when the
+ * same addresses are validated or translated over and over.
+ * @static
+ * @param {number} size - Maximum number of addresses to remember.
+ * @throws {TypeError}
+ */
+function setDecodeCacheSize (size) {
+  if (typeof size !== 'number' || size % 1 !== 0 || size < 0) {
+    throw new TypeError('Invalid decode cache size: ' + size + '.')
+  }
+  DECODE_CACHE_SIZE = size
+  DECODE_CACHE = size > 0 ? new Map() : null
 }
 
 /**
- * Encodes the given decoded address into slpaddr format.
+ * Forgets every decoded address, as needed whenever the set of known prefixes or version bytes changes.
  * @private
- * @param {object} decoded
- * @returns {string}
  */
-function encodeAsSlpaddr (decoded) {
-  var prefix = decoded.network === Network.Mainnet ? 'simpleledger' : 'slptest'
-  var type = decoded.type === Type.P2PKH ? 'P2PKH' : 'P2SH'
-  var hash = Uint8Array.from(decoded.hash)
-  return cashaddr.encode(prefix, type, hash)
+function clearDecodeCache () {
+  if (DECODE_CACHE !== null) {
+    DECODE_CACHE.clear()
+  }
 }
 
+onRegisterNetwork(clearDecodeCache)
+
 /**
- * Encodes the given decoded address into mainnet format.
+ * Returns a copy of the given decoded address, so that callers are free to modify it.
  * @private
- * @param {object} decoded
- * @returns {string}
+ * @param {object|null} decoded
+ * @return {object|null}
  */
-function encodeAsMainnetaddr (decoded) {
-  var prefix = 'bitcoincash'
-  var type = decoded.type === Type.P2PKH ? 'P2PKH' : 'P2SH'
-  var hash = Uint8Array.from(decoded.hash)
-  if (decoded.format === Format.Slpaddr) {
-    prefix = 'simpleledger'
+function copyDecoded (decoded) {
+  if (decoded === null) {
+    return null
   }
-  return cashaddr.encode(prefix, type, hash)
+  var copy = {}
+  for (var key in decoded) {
+    copy[key] = decoded[key]
+  }
+  copy.hash = decoded.hash.slice()
+  return copy
 }
 
 /**
- * Encodes the given decoded address into testnet format.
+ * Maximum length of a base58 address. Longer addresses can only be cashaddr-based
+ * addresses without prefix, whose minimum length is 42 characters.
  * @private
- * @param {object} decoded
- * @returns {string}
  */
-function encodeAsTestnetaddr (decoded) {
-  var prefix = 'bchtest'
-  var type = decoded.type === Type.P2PKH ? 'P2PKH' : 'P2SH'
-  var hash = Uint8Array.from(decoded.hash)
-  if (decoded.format === Format.Slpaddr) {
-    prefix = 'slptest'
+var BASE_58_MAX_LENGTH = 35
+
+/**
+ * Classifies the given address by its prefix, length and character set, and runs only
+ * the decoder it matches. Addresses without prefix are matched to a prefix by their checksum
+ * before decoding, so that no failed decoding is attempted for any other prefix, and are
+ * rejected if they are valid under more than one prefix.
+ * @private
+ * @param {*} address
+ * @return {object|null} The decoded address, or null if it is not valid.
+ */
+function dispatchDecoder (address) {
+  if (typeof address !== 'string' || address.length === 0) {
+    return null
+  }
+  var separator = address.indexOf(':')
+  if (separator !== -1) {
+    var format = getPrefixFormat(address.slice(0, separator).toLowerCase())
+    return format ? decodeOrNull(decodePrefixedFormatAddressWithPrefix, address, format) : null
   }
-  return cashaddr.encode(prefix, type, hash)
+  if (address.length <= BASE_58_MAX_LENGTH) {
+    return decodeOrNull(decodeBase58Address, address)
+  }
+  var candidates = decodeWithoutPrefix(address)
+  return candidates.length === 1 ? candidates[0] : null
 }
 
 /**
- * Encodes the given decoded address into regtest format.
+ * Runs every decoder on the given invalid address to find out why it fails to decode.
  * @private
- * @param {object} decoded
- * @returns {string}
+ * @param {*} address
+ * @return {InvalidAddressError}
  */
-function encodeAsRegtestaddr (decoded) {
-  var prefix = 'bchreg'
-  var type = decoded.type === Type.P2PKH ? 'P2PKH' : 'P2SH'
-  var hash = Uint8Array.from(decoded.hash)
-  if (decoded.format === Format.Slpaddr) {
-    prefix = 'slpreg'
+function getDecodingError (address) {
+  if (typeof address !== 'string' || address.length === 0) {
+    return new InvalidAddressError(ErrorCode.InvalidInput, 'Expected a non-empty string, received: ' + address + '.')
+  }
+  if (address.indexOf(':') === -1 && address.length > BASE_58_MAX_LENGTH && decodeWithoutPrefix(address).length > 1) {
+    return new InvalidAddressError(ErrorCode.AmbiguousPrefix, 'Address without prefix valid under more than one prefix: ' + address + '.')
   }
-  return cashaddr.encode(prefix, type, hash)
+  var errors = {}
+  try {
+    decodeBase58Address(address)
+  } catch (error) {
+    errors.base58 = error
+  }
+  PREFIXED_FORMATS.forEach(function (format) {
+    try {
+      decodePrefixedFormatAddress(address, format)
+    } catch (error) {
+      errors[format] = error
+    }
+  })
+  var error = getMostLikelyError(address, errors)
+  return new InvalidAddressError(error.code, error.message, error.format, errors)
 }
 
 /**
- * Encodes the given decoded address into regtest format.
+ * Picks, among the errors thrown by each decoder, the one from the decoder which got
+ * the furthest. Prefixed addresses can only be in cashaddr-based formats; otherwise, ties
+ * are broken in favour of cashaddr-based decoders when the address only contains cashaddr
+ * characters.
  * @private
- * @param {object} decoded
- * @returns {string}
+ * @param {string} address
+ * @param {object} errors - Error thrown by each decoder.
+ * @returns {InvalidAddressError}
  */
-function encodeAsSlpRegtestaddr (decoded) {
-  var prefix = 'slpreg'
-  var type = decoded.type === Type.P2PKH ? 'P2PKH' : 'P2SH'
-  var hash = Uint8Array.from(decoded.hash)
-  return cashaddr.encode(prefix, type, hash)
+function getMostLikelyError (address, errors) {
+  var candidates = PREFIXED_FORMATS.map(function (format) {
+    return errors[format]
+  })
+  if (address.indexOf(':') === -1) {
+    if (/^[qpzry9x8gf2tvdw0s3jn54khce6mua7l]+$/.test(address.toLowerCase())) {
+      candidates.push(errors.base58)
+    } else {
+      candidates.unshift(errors.base58)
+    }
+  }
+  return getFurthestError(candidates)
 }
 
 /**
@@ -592,25 +1077,70 @@ function isSlpAddress (address) {
 }
 
 /**
- * Returns a boolean indicating whether the address is a mainnet address.
+ * Returns a boolean indicating whether the address is in eCash format.
  * @static
- * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @param {string} address - A valid address in any format.
  * @returns {boolean}
  * @throws {InvalidAddressError}
  */
-function isMainnetAddress (address) {
-  return detectAddressNetwork(address) === Network.Mainnet
+function isEcashAddress (address) {
+  return detectAddressFormat(address) === Format.Ecash
 }
 
 /**
- * Returns a boolean indicating whether the address is a testnet address.
+ * Returns a boolean indicating whether the address is in eToken format.
  * @static
- * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @param {string} address - A valid address in any format.
  * @returns {boolean}
  * @throws {InvalidAddressError}
  */
-function isTestnetAddress (address) {
-  return detectAddressNetwork(address) === Network.Testnet
+function isEtokenAddress (address) {
+  return detectAddressFormat(address) === Format.Etoken
+}
+
+/**
+ * Returns a boolean indicating whether the address signals token support.
+ * @static
+ * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @returns {boolean}
+ * @throws {InvalidAddressError}
+ */
+function isTokenAwareAddress (address) {
+  return decodeAddress(address).tokenSupport
+}
+
+/**
+ * Returns a boolean indicating whether the address is a mainnet address.
+ * @static
+ * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @returns {boolean}
+ * @throws {InvalidAddressError}
+ */
+function isMainnetAddress (address) {
+  return detectAddressNetwork(address) === Network.Mainnet
+}
+
+/**
+ * Returns a boolean indicating whether the address is a testnet address.
+ * @static
+ * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @returns {boolean}
+ * @throws {InvalidAddressError}
+ */
+function isTestnetAddress (address) {
+  return detectAddressNetwork(address) === Network.Testnet
+}
+
+/**
+ * Returns a boolean indicating whether the address is a regtest address.
+ * Base58 addresses are never regtest addresses, as they share their version bytes with testnet.
+ * @static
+ * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @returns {boolean}
+ * @throws {InvalidAddressError}
+ */
+function isRegtestAddress (address) {
+  return detectAddressNetwork(address) === Network.Regtest
 }
 
 /**
@@ -636,23 +1166,768 @@ function isP2SHAddress (address) {
 }
 
 /**
- * Error thrown when the address given as input is not a valid Bitcoin Cash address.
+ * Returns a boolean indicating whether the address is a p2sh address with a 32-byte script hash.
+ * @static
+ * @param {string} address - A valid Bitcoin Cash address in any format.
+ * @returns {boolean}
+ * @throws {InvalidAddressError}
+ */
+function isP2SH32Address (address) {
+  return decodeAddress(address).subtype === Subtype.P2SH32
+}
+
+/**
+ * Opcodes used by the standard output script templates.
+ * @private
+ */
+var OP_DUP = 0x76
+var OP_HASH160 = 0xa9
+var OP_HASH256 = 0xaa
+var OP_EQUAL = 0x87
+var OP_EQUALVERIFY = 0x88
+var OP_CHECKSIG = 0xac
+
+/**
+ * Standard output script templates for each address sub-type, as the bytes preceding and following the hash.
+ * @private
+ */
+var OUTPUT_SCRIPT_TEMPLATE = {}
+OUTPUT_SCRIPT_TEMPLATE[Subtype.P2PKH] = { type: Type.P2PKH, head: [OP_DUP, OP_HASH160, 20], tail: [OP_EQUALVERIFY, OP_CHECKSIG] }
+OUTPUT_SCRIPT_TEMPLATE[Subtype.P2SH20] = { type: Type.P2SH, head: [OP_HASH160, 20], tail: [OP_EQUAL] }
+OUTPUT_SCRIPT_TEMPLATE[Subtype.P2SH32] = { type: Type.P2SH, head: [OP_HASH256, 32], tail: [OP_EQUAL] }
+
+/**
+ * Returns the output script (locking bytecode) paying to the given address.
+ * @static
+ * @param {string} address - A valid address in any format.
+ * @param {object} [options]
+ * @param {string} [options.encoding] - Set to 'hex' to get the script as a hex string.
+ * @return {Uint8Array|string}
+ * @throws {InvalidAddressError}
+ */
+function toOutputScript (address, options) {
+  var decoded = decodeAddress(address)
+  var template = OUTPUT_SCRIPT_TEMPLATE[decoded.subtype]
+  var script = Uint8Array.from(template.head.concat(decoded.hash, template.tail))
+  if (options && options.encoding === 'hex') {
+    return toHex(script)
+  }
+  return script
+}
+
+/**
+ * Returns the address paid to by the given standard P2PKH, P2SH20 or P2SH32 output script.
+ * @static
+ * @param {Uint8Array|Array<number>|string} script - Output script (locking bytecode), as bytes or a hex string.
+ * @param {object} [options]
+ * @param {string} [options.format] - Format of the resulting address, cashaddr by default.
+ * @param {string} [options.network] - Network of the resulting address, mainnet by default.
+ * @return {string}
+ * @throws {UnsupportedScriptError}
+ * @throws {UnsupportedConversionError}
+ */
+function fromOutputScript (script, options) {
+  options = options || {}
+  var format = options.format || Format.Cashaddr
+  var bytes = getBytes(script)
+  if (!bytes) {
+    throw new UnsupportedScriptError('Expected the output script as bytes or a hex string, received: ' + script + '.')
+  }
+  for (var subtype in OUTPUT_SCRIPT_TEMPLATE) {
+    var template = OUTPUT_SCRIPT_TEMPLATE[subtype]
+    var hashSize = template.head[template.head.length - 1]
+    if (bytes.length === template.head.length + hashSize + template.tail.length &&
+        matchesScript(bytes, template.head, 0) &&
+        matchesScript(bytes, template.tail, template.head.length + hashSize)) {
+      var hash = bytes.slice(template.head.length, template.head.length + hashSize)
+      return encodeAsFormat({
+        hash: hash,
+        format: format,
+        network: options.network || Network.Mainnet,
+        type: template.type,
+        subtype: subtype,
+        hashSize: hashSize,
+        tokenSupport: false
+      }, format)
+    }
+  }
+  throw new UnsupportedScriptError('Not a standard P2PKH, P2SH20 or P2SH32 output script.')
+}
+
+/**
+ * Returns the given bytes or hex string as an array of bytes, or null if it is neither.
+ * @private
+ * @param {Uint8Array|Array<number>|string} input
+ * @return {Array<number>|null}
+ */
+function getBytes (input) {
+  if (typeof input === 'string') {
+    if (!/^([0-9a-f]{2})*$/i.test(input)) {
+      return null
+    }
+    return (input.match(/../g) || []).map(function (byte) {
+      return parseInt(byte, 16)
+    })
+  }
+  if (input instanceof Uint8Array || Array.isArray(input)) {
+    return Array.prototype.slice.call(input, 0)
+  }
+  return null
+}
+
+/**
+ * Returns the given bytes as a lowercase hex string.
+ * @private
+ * @param {Uint8Array|Array<number>} bytes
+ * @return {string}
+ */
+function toHex (bytes) {
+  return Array.prototype.map.call(bytes, function (byte) {
+    return (byte < 16 ? '0' : '') + byte.toString(16)
+  }).join('')
+}
+
+/**
+ * Returns the P2PKH address of the given secp256k1 public key.
+ * @static
+ * @param {Uint8Array|Array<number>|string} publicKey - Compressed (33-byte) or uncompressed (65-byte)
+ * public key, as bytes or a hex string.
+ * @param {object} [options]
+ * @param {string} [options.format] - Format of the resulting address, cashaddr by default.
+ * @param {string} [options.network] - Network of the resulting address, mainnet by default.
+ * @return {string}
+ * @throws {InvalidPublicKeyError}
+ * @throws {UnsupportedConversionError}
+ */
+function fromPublicKey (publicKey, options) {
+  options = options || {}
+  var format = options.format || Format.Cashaddr
+  var bytes = getBytes(publicKey)
+  if (!bytes || !isPublicKey(bytes)) {
+    throw new InvalidPublicKeyError('Expected a compressed or uncompressed public key, received: ' + publicKey + '.')
+  }
+  var hash = Array.prototype.slice.call(hash160(Uint8Array.from(bytes)), 0)
+  return encodeAsFormat({
+    hash: hash,
+    format: format,
+    network: options.network || Network.Mainnet,
+    type: Type.P2PKH,
+    subtype: Subtype.P2PKH,
+    hashSize: hash.length,
+    tokenSupport: false
+  }, format)
+}
+
+/**
+ * Maximum size of a redeem script in bytes, which must fit in a single
+ * stack element as limited since the May 2025 network upgrade.
+ * @private
+ */
+var MAX_REDEEM_SCRIPT_SIZE = 10000
+
+/**
+ * Returns the P2SH address of the given redeem script, paying to its hash160 for
+ * P2SH20 addresses or to its double SHA-256 hash for P2SH32 addresses.
+ * @static
+ * @param {Uint8Array|Array<number>|string} redeemScript - Redeem script, as bytes or a hex string.
+ * @param {object} [options]
+ * @param {string} [options.format] - Format of the resulting address, cashaddr by default.
+ * @param {string} [options.network] - Network of the resulting address, mainnet by default.
+ * @param {number} [options.hashSize] - Either 20 or 32, 20 by default. Base58 formats only support 20.
+ * @return {string}
+ * @throws {UnsupportedScriptError}
+ * @throws {UnsupportedConversionError}
+ */
+function fromRedeemScript (redeemScript, options) {
+  options = options || {}
+  var format = options.format || Format.Cashaddr
+  var hashSize = options.hashSize === undefined ? 20 : options.hashSize
+  var bytes = getBytes(redeemScript)
+  if (!bytes) {
+    throw new UnsupportedScriptError('Expected the redeem script as bytes or a hex string, received: ' + redeemScript + '.')
+  }
+  if (bytes.length === 0 || bytes.length > MAX_REDEEM_SCRIPT_SIZE) {
+    throw new UnsupportedScriptError('Redeem scripts must be 1 to ' + MAX_REDEEM_SCRIPT_SIZE + ' bytes long, received: ' + bytes.length + '.')
+  }
+  var subtype = getSubtype(Type.P2SH, hashSize)
+  if (!subtype) {
+    throw new UnsupportedConversionError('Unsupported P2SH hash size: ' + hashSize + '.')
+  }
+  var hashFunction = hashSize === 32 ? sha256d : hash160
+  var hash = Array.prototype.slice.call(hashFunction(Uint8Array.from(bytes)), 0)
+  return encodeAsFormat({
+    hash: hash,
+    format: format,
+    network: options.network || Network.Mainnet,
+    type: Type.P2SH,
+    subtype: subtype,
+    hashSize: hash.length,
+    tokenSupport: false
+  }, format)
+}
+
+/**
+ * Returns true if the given bytes are shaped as a compressed or uncompressed public key.
+ * Whether the key is an actual point of the curve is not checked.
+ * @private
+ * @param {Array<number>} bytes
+ * @return {boolean}
+ */
+function isPublicKey (bytes) {
+  if (bytes.length === 33) {
+    return bytes[0] === 0x02 || bytes[0] === 0x03
+  }
+  return bytes.length === 65 && bytes[0] === 0x04
+}
+
+/**
+ * Returns true if the given script contains the given bytes at the given offset.
+ * @private
+ * @param {Array<number>} script
+ * @param {Array<number>} bytes
+ * @param {number} offset
+ * @return {boolean}
+ */
+function matchesScript (script, bytes, offset) {
+  return bytes.every(function (byte, i) {
+    return script[offset + i] === byte
+  })
+}
+
+/**
+ * Encodes the given decoded address into the given format.
+ * @private
+ * @param {object} decoded
+ * @param {string} format
+ * @param {object} [options] - Output options for cashaddr-based formats, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @returns {string}
+ * @throws {UnsupportedConversionError}
+ */
+function encodeAsFormat (decoded, format, options) {
+  if (format === Format.Legacy) {
+    return encodeAsLegacy(decoded)
+  }
+  if (format === Format.Bitpay) {
+    return encodeAsBitpay(decoded)
+  }
+  if (PREFIXED_FORMATS.indexOf(format) !== -1) {
+    return encodeAsPrefixedFormat(decoded, format, decoded.network, options)
+  }
+  throw new UnsupportedConversionError('Unsupported address format: ' + format + '.')
+}
+
+/**
+ * Payment URI parameters with a meaning of their own, in the order in which they are built.
+ * @private
+ */
+var PAYMENT_URI_PARAMS = ['amount', 'label', 'message', 'r']
+
+/**
+ * Parses the given BIP21 payment URI, such as 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk?amount=0.1'.
+ * The scheme must be a known prefix and the address must be valid for it, with or without prefix.
+ * Base58 addresses are accepted as well. URIs with parameters prefixed by 'req-' are rejected,
+ * as none are supported.
+ * @static
+ * @param {string} uri - A payment URI.
+ * @return {object} The address, with its format, network and type, the amount as a decimal string,
+ * the label, message and payment request URL (r) if present, and any other parameters in params.
+ * @throws {InvalidPaymentURIError}
+ * @throws {InvalidAddressError}
+ */
+function parsePaymentURI (uri) {
+  var parts = splitPaymentURI(uri)
+  var decoded = decodePaymentURIAddress(parts)
+  var address = PREFIXED_FORMATS.indexOf(decoded.format) !== -1 ? parts.address : parts.path
+  return readPaymentURI(address, decoded, parts.query)
+}
+
+/**
+ * Builds a BIP21 payment URI for the given address. Addresses in cashaddr-based formats keep
+ * their format, while base58 addresses are translated into cashaddr format.
+ * @static
+ * @param {string} address - A valid address in any format.
+ * @param {object} [options]
+ * @param {number|string} [options.amount] - Amount to request, in BCH, with at most 8 decimals.
+ * @param {string} [options.label] - Label for the recipient.
+ * @param {string} [options.message] - Message describing the payment.
+ * @param {string} [options.r] - Payment request URL.
+ * @param {object} [options.params] - Any other parameters to include.
+ * @return {string}
+ * @throws {InvalidAddressError}
+ * @throws {InvalidPaymentURIError}
+ */
+function buildPaymentURI (address, options) {
+  options = options || {}
+  var decoded = decodeAddress(address)
+  var params = getPaymentURIParams(options, [])
+  return buildPaymentURIFromParams(encodeAsPrefixedFormat(decoded, getPrefixedFormat(decoded), decoded.network), params)
+}
+
+/**
+ * Parses the given SLP payment URI, whose scheme must be a known slpaddr prefix such as 'simpleledger'.
+ * Token amounts are given by amount1, amount2 and so on, each as a quantity and a
+ * 32-byte hex token ID joined by a dash. Other parameters are parsed as in
+ * [#parsePaymentURI()]{@link parsePaymentURI}.
+ * @static
+ * @param {string} uri - An SLP payment URI.
+ * @param {object} [options]
+ * @param {string} [options.network] - Network the address is required to be on.
+ * @return {object} The result of [#parsePaymentURI()]{@link parsePaymentURI}, plus
+ * the requested token amounts in tokens, each with its tokenId and amount.
+ * @throws {InvalidPaymentURIError}
+ * @throws {InvalidAddressError}
+ */
+function parseSlpPaymentURI (uri, options) {
+  options = options || {}
+  var parts = splitPaymentURI(uri)
+  if (!getPrefixNetwork(Format.Slpaddr, parts.scheme)) {
+    throw new InvalidPaymentURIError('Expected an slpaddr payment URI scheme, received: ' + parts.scheme + '.')
+  }
+  var decoded = decodeAddress(parts.address)
+  validatePaymentURINetwork(decoded, options.network)
+  var tokens = {}
+  var result = readPaymentURI(parts.address, decoded, parts.query, function (key, value) {
+    var match = /^amount([1-9][0-9]*)$/.exec(key)
+    if (match) {
+      tokens[match[1]] = parseSlpTokenAmount(value)
+    }
+    return Boolean(match)
+  })
+  result.tokens = Object.keys(tokens).sort(function (a, b) {
+    return a - b
+  }).map(function (index) {
+    return tokens[index]
+  })
+  validateSlpTokens(result.tokens)
+  return result
+}
+
+/**
+ * Builds an SLP payment URI for the given address, which is translated into slpaddr format.
+ * @static
+ * @param {string} address - A valid address in any format.
+ * @param {object} [options]
+ * @param {Array<object>} [options.tokens] - Token amounts to request, each with its tokenId and amount.
+ * @param {string} [options.network] - Network the address is required to be on.
+ * @param {number|string} [options.amount] - Amount to request, in BCH, with at most 8 decimals.
+ * @param {string} [options.label] - Label for the recipient.
+ * @param {string} [options.message] - Message describing the payment.
+ * @param {string} [options.r] - Payment request URL.
+ * @param {object} [options.params] - Any other parameters to include.
+ * @return {string}
+ * @throws {InvalidAddressError}
+ * @throws {InvalidPaymentURIError}
+ * @throws {UnsupportedConversionError}
+ */
+function buildSlpPaymentURI (address, options) {
+  options = options || {}
+  var decoded = decodeAddress(address)
+  validatePaymentURINetwork(decoded, options.network)
+  var tokens = options.tokens || []
+  tokens.forEach(function (token) {
+    parseSlpTokenAmount(token.amount + '-' + token.tokenId)
+  })
+  validateSlpTokens(tokens)
+  Object.keys(options.params || {}).forEach(function (key) {
+    if (/^amount[0-9]+$/.test(key)) {
+      throw new InvalidPaymentURIError('Parameter ' + key + ' must be given as a token amount.')
+    }
+  })
+  var params = getPaymentURIParams(options, tokens.map(function (token, i) {
+    return ['amount' + (i + 1), token.amount + '-' + token.tokenId.toLowerCase()]
+  }))
+  return buildPaymentURIFromParams(encodeAsSlpaddr(decoded), params)
+}
+
+/**
+ * Splits the given payment URI into its scheme, address and query.
+ * @private
+ * @param {string} uri
+ * @return {object}
+ * @throws {InvalidPaymentURIError}
+ */
+function splitPaymentURI (uri) {
+  var match = typeof uri === 'string' && /^([a-z0-9]+):([^?]+)(?:\?(.*))?$/i.exec(uri)
+  if (!match) {
+    throw new InvalidPaymentURIError('Invalid payment URI: ' + uri + '.')
+  }
+  var scheme = match[1].toLowerCase()
+  var known = PREFIXED_FORMATS.some(function (format) {
+    return getPrefixNetwork(format, scheme)
+  })
+  if (!known) {
+    throw new InvalidPaymentURIError('Unknown payment URI scheme: ' + scheme + '.')
+  }
+  var path = match[2]
+  var upperCase = path === path.toUpperCase()
+  return {
+    scheme: scheme,
+    address: (upperCase ? scheme.toUpperCase() : scheme) + ':' + path,
+    path: path,
+    query: match[3]
+  }
+}
+
+/**
+ * Decodes the address of the given payment URI parts, either prefixed by the scheme or in a base58 format.
+ * @private
+ * @param {object} parts - As returned by splitPaymentURI.
+ * @return {object}
+ * @throws {InvalidAddressError}
+ */
+function decodePaymentURIAddress (parts) {
+  try {
+    return decodeAddress(parts.address)
+  } catch (error) {
+    if (!isValidBase58Address(parts.path)) {
+      throw error
+    }
+    return decodeBase58Address(parts.path)
+  }
+}
+
+/**
+ * Reads the parameters of a payment URI with the given decoded address, handing each
+ * parameter to the given function first, which returns true if it consumed it.
+ * @private
+ * @param {string} address - Address of the payment URI, as written.
+ * @param {object} decoded
+ * @param {string} [query]
+ * @param {function} [readParam]
+ * @return {object}
+ * @throws {InvalidPaymentURIError}
+ */
+function readPaymentURI (address, decoded, query, readParam) {
+  var result = {
+    address: address,
+    format: decoded.format,
+    network: decoded.network,
+    type: decoded.type,
+    params: {}
+  }
+  var params = parsePaymentURIQuery(query)
+  Object.keys(params).forEach(function (key) {
+    if (readParam && readParam(key, params[key])) {
+      return
+    }
+    if (key === 'amount') {
+      validatePaymentURIAmount(params[key])
+    }
+    if (PAYMENT_URI_PARAMS.indexOf(key) !== -1) {
+      result[key] = params[key]
+    } else if (key.indexOf('req-') === 0) {
+      throw new InvalidPaymentURIError('Unsupported required parameter: ' + key + '.')
+    } else {
+      result.params[key] = params[key]
+    }
+  })
+  return result
+}
+
+/**
+ * Returns the parameters of a payment URI with the given options, placing the
+ * given additional parameters right after the amount.
+ * @private
+ * @param {object} options - As taken by [#buildPaymentURI()]{@link buildPaymentURI}.
+ * @param {Array<Array<string>>} additionalParams - Key and value of each additional parameter.
+ * @return {Array<Array<string>>}
+ * @throws {InvalidPaymentURIError}
+ */
+function getPaymentURIParams (options, additionalParams) {
+  var params = []
+  PAYMENT_URI_PARAMS.forEach(function (key) {
+    if (options[key] !== undefined) {
+      params.push([key, key === 'amount' ? formatPaymentURIAmount(options[key]) : String(options[key])])
+    }
+    if (key === 'amount') {
+      params = params.concat(additionalParams)
+    }
+  })
+  var otherParams = options.params || {}
+  Object.keys(otherParams).forEach(function (key) {
+    if (PAYMENT_URI_PARAMS.indexOf(key) !== -1) {
+      throw new InvalidPaymentURIError('Parameter ' + key + ' must be given as an option of its own.')
+    }
+    params.push([key, String(otherParams[key])])
+  })
+  return params
+}
+
+/**
+ * Throws unless the given decoded address is on the given network, if any.
+ * @private
+ * @param {object} decoded
+ * @param {string} [network]
+ * @throws {InvalidPaymentURIError}
+ */
+function validatePaymentURINetwork (decoded, network) {
+  if (network !== undefined && decoded.network !== network) {
+    throw new InvalidPaymentURIError('Expected a ' + network + ' address, received a ' + decoded.network + ' address.')
+  }
+}
+
+/**
+ * Parses an SLP token amount parameter, made of a quantity with at most 9 decimals and
+ * a 32-byte hex token ID joined by a dash.
+ * @private
+ * @param {string} value
+ * @return {object}
+ * @throws {InvalidPaymentURIError}
+ */
+function parseSlpTokenAmount (value) {
+  var match = /^([0-9]+(\.[0-9]{1,9})?)-([0-9a-f]{64})$/i.exec(value)
+  if (!match || !/[1-9]/.test(match[1])) {
+    throw new InvalidPaymentURIError('Invalid token amount: ' + value + '.')
+  }
+  return { tokenId: match[3].toLowerCase(), amount: match[1] }
+}
+
+/**
+ * Throws if the given token amounts request the same token more than once.
+ * @private
+ * @param {Array<object>} tokens
+ * @throws {InvalidPaymentURIError}
+ */
+function validateSlpTokens (tokens) {
+  tokens.forEach(function (token, i) {
+    for (var j = 0; j < i; ++j) {
+      if (tokens[j].tokenId.toLowerCase() === token.tokenId.toLowerCase()) {
+        throw new InvalidPaymentURIError('Duplicate token ID: ' + token.tokenId + '.')
+      }
+    }
+  })
+}
+
+/**
+ * Parses the query of a payment URI into its percent-decoded parameters.
+ * @private
+ * @param {string} [query]
+ * @return {object}
+ * @throws {InvalidPaymentURIError}
+ */
+function parsePaymentURIQuery (query) {
+  var params = {}
+  if (!query) {
+    return params
+  }
+  query.split('&').forEach(function (pair) {
+    if (pair.length === 0) {
+      return
+    }
+    var index = pair.indexOf('=')
+    var key = decodePaymentURIComponent(index === -1 ? pair : pair.slice(0, index))
+    var value = index === -1 ? '' : decodePaymentURIComponent(pair.slice(index + 1))
+    if (Object.prototype.hasOwnProperty.call(params, key)) {
+      throw new InvalidPaymentURIError('Duplicate parameter: ' + key + '.')
+    }
+    params[key] = value
+  })
+  return params
+}
+
+/**
+ * Percent-decodes the given payment URI component.
+ * @private
+ * @param {string} component
+ * @return {string}
+ * @throws {InvalidPaymentURIError}
+ */
+function decodePaymentURIComponent (component) {
+  try {
+    return decodeURIComponent(component)
+  } catch (error) {
+    throw new InvalidPaymentURIError('Invalid percent-encoding: ' + component + '.')
+  }
+}
+
+/**
+ * Builds a payment URI from the given address and percent-encoded parameters.
+ * @private
+ * @param {string} address - Address with prefix, which becomes the scheme.
+ * @param {Array<Array<string>>} params - Key and value of each parameter.
+ * @return {string}
+ */
+function buildPaymentURIFromParams (address, params) {
+  var query = params.map(function (param) {
+    return encodeURIComponent(param[0]) + '=' + encodeURIComponent(param[1])
+  }).join('&')
+  return query.length === 0 ? address : address + '?' + query
+}
+
+/**
+ * Throws unless the given amount is a decimal amount of coins with at most 8 decimals.
+ * @private
+ * @param {string} amount
+ * @throws {InvalidPaymentURIError}
+ */
+function validatePaymentURIAmount (amount) {
+  if (!/^\d+(\.\d{1,8})?$/.test(amount)) {
+    throw new InvalidPaymentURIError('Invalid amount: ' + amount + '.')
+  }
+}
+
+/**
+ * Formats the given amount of coins as a decimal string for a payment URI. Numbers with more than
+ * 8 decimals are rejected rather than rounded, as strings are.
+ * @private
+ * @param {number|string} amount
+ * @return {string}
+ * @throws {InvalidPaymentURIError}
+ */
+function formatPaymentURIAmount (amount) {
+  if (typeof amount === 'number' && isFinite(amount) && amount >= 0) {
+    var formatted = amount.toFixed(8).replace(/\.?0+$/, '')
+    if (Number(formatted) !== amount) {
+      throw new InvalidPaymentURIError('Invalid amount: ' + amount + '. Amounts are limited to 8 decimals.')
+    }
+    amount = formatted
+  }
+  validatePaymentURIAmount(amount)
+  return amount
+}
+
+/**
+ * Immutable, already validated address, to be created with [Address.from()]{@link Address.from}.
+ * Its hash, format, network, type, sub-type, token support and prefix are exposed as read-only
+ * properties, the prefix being null for base58 formats.
  * @constructor
- * InvalidAddressError
+ * Address
+ * @param {object} decoded - A decoded address.
+ */
+function Address (decoded) {
+  Object.defineProperty(this, '_hash', { value: Object.freeze(decoded.hash.slice()) })
+  this.format = decoded.format
+  this.network = decoded.network
+  this.type = decoded.type
+  this.subtype = decoded.subtype
+  this.tokenSupport = decoded.tokenSupport
+  this.prefix = PREFIXED_FORMATS.indexOf(decoded.format) !== -1 ? getPrefix(decoded.format, decoded.network) : null
+  Object.freeze(this)
+}
+
+/**
+ * Decodes the given address into an {@link Address}. Addresses are returned as is, once checked
+ * against the given options.
+ * @static
+ * @param {string|Address} address - A valid address in any format.
+ * @param {object} [options] - Restrictions on the accepted address, as taken by [#isValidAddress()]{@link isValidAddress}.
+ * @return {Address}
+ * @throws {InvalidAddressError}
+ */
+Address.from = function (address, options) {
+  if (address instanceof Address) {
+    var violation = getDecodeOptionsViolation(address.toString(), getAddressDecoded(address), options)
+    if (violation !== null) {
+      throw new InvalidAddressError(violation.code, violation.message, address.format)
+    }
+    return address
+  }
+  return new Address(decodeAddress(address, options))
+}
+
+/**
+ * Hash of the address, as a new array on every access.
+ * @name Address#hash
+ * @type {Uint8Array}
  */
-function InvalidAddressError () {
-  var error = new Error()
-  this.name = error.name = 'InvalidAddressError'
-  this.message = error.message = 'Received an invalid Bitcoin Cash address as input.'
-  this.stack = error.stack
+Object.defineProperty(Address.prototype, 'hash', {
+  get: function () {
+    return Uint8Array.from(this._hash)
+  }
+})
+
+/**
+ * Hash of the address, as a hex string.
+ * @name Address#hashHex
+ * @type {string}
+ */
+Object.defineProperty(Address.prototype, 'hashHex', {
+  get: function () {
+    return toHex(this._hash)
+  }
+})
+
+/**
+ * Returns the address in the given format, or in its own format by default.
+ * @param {string} [format]
+ * @return {string}
+ * @throws {UnsupportedConversionError}
+ */
+Address.prototype.toString = function (format) {
+  return encodeAsFormat(getAddressDecoded(this), format || this.format)
+}
+
+/**
+ * Returns the address in cashaddr format.
+ * @param {object} [options] - Output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @return {string}
+ */
+Address.prototype.toCashAddress = function (options) {
+  return encodeAsCashaddr(getAddressDecoded(this), options)
+}
+
+/**
+ * Returns the address in legacy format.
+ * @return {string}
+ * @throws {UnsupportedConversionError}
+ */
+Address.prototype.toLegacy = function () {
+  return encodeAsLegacy(getAddressDecoded(this))
 }
 
-InvalidAddressError.prototype = Object.create(Error.prototype)
+/**
+ * Returns the address in slpaddr format.
+ * @param {object} [options] - Output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @return {string}
+ * @throws {UnsupportedConversionError}
+ */
+Address.prototype.toSlp = function (options) {
+  return encodeAsSlpaddr(getAddressDecoded(this), options)
+}
+
+/**
+ * Returns true if the given address is the same destination, as done by
+ * [#addressesEqual()]{@link addressesEqual}. Returns false for anything which is not a valid address.
+ * @param {string|Address} other
+ * @param {object} [options] - As taken by [#addressesEqual()]{@link addressesEqual}.
+ * @return {boolean}
+ */
+Address.prototype.equals = function (other, options) {
+  return (other instanceof Address || isValidAddress(other)) && addressesEqual(this, other, options)
+}
+
+/**
+ * Returns the address in its own format, so that it serializes as a plain string.
+ * @return {string}
+ */
+Address.prototype.toJSON = function () {
+  return this.toString()
+}
+
+/**
+ * Returns the given address' fields in the shape returned by {@link decodeAddress}.
+ * @private
+ * @param {Address} address
+ * @return {object}
+ */
+function getAddressDecoded (address) {
+  return {
+    hash: address._hash.slice(),
+    format: address.format,
+    network: address.network,
+    type: address.type,
+    subtype: address.subtype,
+    hashSize: address._hash.length,
+    tokenSupport: address.tokenSupport
+  }
+}
 
 module.exports = {
   Format: Format,
   Network: Network,
   Type: Type,
+  Subtype: Subtype,
+  ErrorCode: ErrorCode,
   isValidAddress: isValidAddress,
   detectAddressFormat: detectAddressFormat,
   detectAddressNetwork: detectAddressNetwork,
@@ -664,6 +1939,10 @@ module.exports = {
   toCashAddress: toCashAddress,
   encodeAsSlpaddr: encodeAsSlpaddr,
   toSlpAddress: toSlpAddress,
+  encodeAsEcashaddr: encodeAsEcashaddr,
+  toEcashAddress: toEcashAddress,
+  encodeAsEtokenaddr: encodeAsEtokenaddr,
+  toEtokenAddress: toEtokenAddress,
   toMainnetAddress: toMainnetAddress,
   toTestnetAddress: toTestnetAddress,
   encodeAsMainnetaddr: encodeAsMainnetaddr,
@@ -672,15 +1951,48 @@ module.exports = {
   toRegtestAddress: toRegtestAddress,
   encodeAsSlpRegtestaddr: encodeAsSlpRegtestaddr,
   toSlpRegtestAddress: toSlpRegtestAddress,
+  toTokenAwareAddress: toTokenAwareAddress,
+  toNonTokenAddress: toNonTokenAddress,
+  convertAddress: convertAddress,
+  encodeAddress: encodeAddress,
+  addressesEqual: addressesEqual,
+  canonicalKey: canonicalKey,
+  fromCanonicalKey: fromCanonicalKey,
+  findAddresses: findAddresses,
+  mapAddresses: mapAddresses,
+  convertAddresses: convertAddresses,
+  convertAddressesAsync: convertAddressesAsync,
+  suggestCorrections: suggestCorrections,
+  diagnoseBase58Address: diagnoseBase58Address,
+  registerNetwork: registerNetwork,
+  setDecodeCacheSize: setDecodeCacheSize,
   encodeAsLegacy: encodeAsLegacy,
   isLegacyAddress: isLegacyAddress,
   encodeAsBitpay: encodeAsBitpay,
   isBitpayAddress: isBitpayAddress,
   isCashAddress: isCashAddress,
   isSlpAddress: isSlpAddress,
+  isEcashAddress: isEcashAddress,
+  isEtokenAddress: isEtokenAddress,
+  isTokenAwareAddress: isTokenAwareAddress,
   isMainnetAddress: isMainnetAddress,
   isTestnetAddress: isTestnetAddress,
+  isRegtestAddress: isRegtestAddress,
   isP2PKHAddress: isP2PKHAddress,
   isP2SHAddress: isP2SHAddress,
-  InvalidAddressError: InvalidAddressError
+  isP2SH32Address: isP2SH32Address,
+  toOutputScript: toOutputScript,
+  fromOutputScript: fromOutputScript,
+  fromPublicKey: fromPublicKey,
+  fromRedeemScript: fromRedeemScript,
+  parsePaymentURI: parsePaymentURI,
+  buildPaymentURI: buildPaymentURI,
+  parseSlpPaymentURI: parseSlpPaymentURI,
+  buildSlpPaymentURI: buildSlpPaymentURI,
+  Address: Address,
+  InvalidAddressError: InvalidAddressError,
+  UnsupportedConversionError: UnsupportedConversionError,
+  UnsupportedScriptError: UnsupportedScriptError,
+  InvalidPublicKeyError: InvalidPublicKeyError,
+  InvalidPaymentURIError: InvalidPaymentURIError
 }
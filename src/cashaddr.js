@@ -0,0 +1,544 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+/**
+ * Encoding and decoding of the CashAddr format, including the token-aware
+ * address types introduced by the CashTokens upgrade.<br />
+ * Compliant with the CashAddr specification:
+ * {@link https://github.com/bitcoincashorg/bitcoincash.org/blob/master/spec/cashaddr.md}
+ * @module cashaddr
+ */
+
+/**
+ * Encodes a hash from a given type into a CashAddr address with the given prefix.
+ * @static
+ * @param {string} prefix - Network prefix. E.g.: 'bitcoincash'.
+ * @param {string} type - Type of address to generate. One of 'P2PKH', 'P2SH',
+ * 'P2PKHWithTokens' or 'P2SHWithTokens'.
+ * @param {Uint8Array} hash - Hash to encode represented as an array of 8-bit integers.
+ * @returns {string}
+ * @throws {ValidationError}
+ */
+function encode (prefix, type, hash) {
+  validate(typeof prefix === 'string' && isValidPrefix(prefix), 'Invalid prefix: ' + prefix + '.', ErrorCode.InvalidPrefix)
+  validate(hash instanceof Uint8Array, 'Invalid hash: ' + hash + '.', ErrorCode.InvalidInput)
+  var versionByte = getTypeBits(type) + getHashSizeBits(hash)
+  var payloadData = toUint5Array(concat(Uint8Array.of(versionByte), hash))
+  var checksumData = concat(concat(prefixToUint5Array(prefix), payloadData), new Uint8Array(8))
+  var payload = concat(payloadData, checksumToUint5Array(polymod(checksumData)))
+  return prefix + ':' + encodeBase32(payload)
+}
+
+/**
+ * Decodes the given address into its constituting prefix, type and hash. See [#encode()]{@link encode}.
+ * @static
+ * @param {string} address - Address to decode. E.g.: 'bitcoincash:qpm2qsznhks23z7629mms6s4cwef74vcwvy22gdx6a'.
+ * @returns {object}
+ * @throws {ValidationError}
+ */
+function decode (address) {
+  validate(typeof address === 'string', 'Invalid address: ' + address + '.', ErrorCode.InvalidInput)
+  validate(hasSingleCase(address), 'Mixed case address: ' + address + '.', ErrorCode.MixedCase)
+  var pieces = address.toLowerCase().split(':')
+  validate(pieces.length === 2, 'Missing prefix: ' + address + '.', ErrorCode.InvalidPrefix)
+  var prefix = pieces[0]
+  validate(isValidPrefix(prefix), 'Invalid prefix: ' + address + '.', ErrorCode.InvalidPrefix)
+  var payload = decodeBase32(pieces[1])
+  validate(payload.length > 8, 'Invalid payload: ' + address + '.', ErrorCode.InvalidPayloadLength)
+  validate(polymod(concat(prefixToUint5Array(prefix), payload)) === 0, 'Invalid checksum: ' + address + '.', ErrorCode.InvalidChecksum)
+  var payloadData = fromUint5Array(payload.subarray(0, -8))
+  var versionByte = payloadData[0]
+  var hash = payloadData.slice(1)
+  validate((versionByte & 128) === 0, 'Invalid version byte: ' + address + '.', ErrorCode.UnknownVersionByte)
+  validate(getHashSize(versionByte) === hash.length * 8, 'Invalid hash size: ' + address + '.', ErrorCode.InvalidPayloadLength)
+  return {
+    prefix: prefix,
+    type: getType(versionByte),
+    hash: hash
+  }
+}
+
+/**
+ * Returns, among the given prefixes, those for which the given address without prefix
+ * has a valid checksum, computing each checksum without decoding the payload again.
+ * @static
+ * @param {string} payload - Lowercase address without prefix. E.g.: 'qpm2qsznhks23z7629mms6s4cwef74vcwvy22gdx6b'.
+ * @param {Array<string>} prefixes - Lowercase candidate prefixes. E.g.: ['bitcoincash', 'bchtest'].
+ * @returns {Array<string>}
+ */
+function findPrefixes (payload, prefixes) {
+  if (!/^[qpzry9x8gf2tvdw0s3jn54khce6mua7l]+$/.test(payload)) {
+    return []
+  }
+  var data = decodeBase32(payload)
+  return prefixes.filter(function (prefix) {
+    return polymod(concat(prefixToUint5Array(prefix), data)) === 0
+  })
+}
+
+/**
+ * Uses the checksum of the given address to locate up to two substitution errors in its payload,
+ * returning the addresses which would result from fixing them. Characters outside of the base32
+ * charset are always treated as errors. Returns an empty array if the checksum is already valid
+ * or no fix with at most two substitutions exists.<br />
+ * Suggestions are meant to be confirmed by a human and must never be applied automatically.
+ * @static
+ * @param {string} address - Address to correct, with explicit prefix. E.g.: 'bitcoincash:qpm2qsznhks23z7629mms6s4cwef74vcwvy22gdx6b'.
+ * @returns {Array<object>} Corrected addresses, each with the indices of its changed characters within the address.
+ * @throws {ValidationError}
+ */
+function findCorrections (address) {
+  validate(typeof address === 'string', 'Invalid address: ' + address + '.', ErrorCode.InvalidInput)
+  validate(hasSingleCase(address), 'Mixed case address: ' + address + '.', ErrorCode.MixedCase)
+  var pieces = address.toLowerCase().split(':')
+  validate(pieces.length === 2, 'Missing prefix: ' + address + '.', ErrorCode.InvalidPrefix)
+  var prefix = pieces[0]
+  validate(isValidPrefix(prefix), 'Invalid prefix: ' + address + '.', ErrorCode.InvalidPrefix)
+  var offset = prefix.length + 1
+  var payload = new Uint8Array(pieces[1].length)
+  var erasures = []
+  for (var i = 0; i < payload.length; ++i) {
+    var value = CHARSET.indexOf(pieces[1][i])
+    if (value === -1) {
+      erasures.push(i)
+      value = 0
+    }
+    payload[i] = value
+  }
+  if (erasures.length > 2 || payload.length <= 8) {
+    return []
+  }
+  var prefixData = prefixToUint5Array(prefix)
+  var syndrome = polymod(concat(prefixData, payload))
+  if (syndrome === 0 && erasures.length === 0) {
+    return []
+  }
+  var errors = getErrorSyndromes(prefixData, payload.length)
+  var single = {}
+  var solutions = []
+  for (var position = 0; position < payload.length; ++position) {
+    var erased = erasures.indexOf(position) !== -1
+    for (var delta = erased ? 0 : 1; delta < 32; ++delta) {
+      var error = errors[position][delta]
+      if (error === syndrome && erasures.length <= 1 && (erasures.length === 0 || erased)) {
+        solutions.push([[position, delta]])
+      }
+      var pairs = single[xor40(error, syndrome)] || []
+      for (var j = 0; j < pairs.length; ++j) {
+        if (coversErasures(erasures, [pairs[j][0], position])) {
+          solutions.push([pairs[j], [position, delta]])
+        }
+      }
+    }
+    for (delta = erased ? 0 : 1; delta < 32; ++delta) {
+      single[errors[position][delta]] = (single[errors[position][delta]] || []).concat([[position, delta]])
+    }
+  }
+  var upperCase = address !== address.toLowerCase()
+  return solutions.map(function (solution) {
+    var corrected = payload.slice()
+    var positions = solution.map(function (error) {
+      corrected[error[0]] ^= error[1]
+      return offset + error[0]
+    })
+    var result = prefix + ':' + encodeBase32(corrected)
+    return {
+      address: upperCase ? result.toUpperCase() : result,
+      positions: positions
+    }
+  })
+}
+
+/**
+ * Returns true if every erased position is among the given error positions.
+ * @private
+ * @param {Array<number>} erasures
+ * @param {Array<number>} positions
+ * @returns {boolean}
+ */
+function coversErasures (erasures, positions) {
+  return erasures.every(function (erasure) {
+    return positions.indexOf(erasure) !== -1
+  })
+}
+
+/**
+ * @static
+ * Reasons for which encoding or decoding may fail, as found in the code of a {@link ValidationError}.
+ */
+var ErrorCode = {}
+ErrorCode.InvalidInput = 'invalid_input'
+ErrorCode.MixedCase = 'mixed_case'
+ErrorCode.InvalidPrefix = 'invalid_prefix'
+ErrorCode.InvalidCharacter = 'invalid_character'
+ErrorCode.InvalidChecksum = 'invalid_checksum'
+ErrorCode.InvalidPayloadLength = 'invalid_payload_length'
+ErrorCode.UnknownVersionByte = 'unknown_version_byte'
+
+/**
+ * Error thrown when encoding or decoding fail due to invalid input.
+ * @constructor ValidationError
+ * @param {string} message - Error description.
+ * @param {string} code - Reason for the failure, one of {@link ErrorCode}.
+ */
+function ValidationError (message, code) {
+  var error = new Error()
+  this.name = error.name = 'ValidationError'
+  this.message = error.message = message
+  this.code = code
+  this.stack = error.stack
+}
+
+ValidationError.prototype = Object.create(Error.prototype)
+
+/**
+ * Validates a given condition, throwing a {@link ValidationError} if
+ * the given condition does not hold.
+ * @private
+ * @param {boolean} condition - Condition to validate.
+ * @param {string} message - Error message in case the condition does not hold.
+ * @param {string} code - Reason for the failure, one of {@link ErrorCode}.
+ */
+function validate (condition, message, code) {
+  if (!condition) {
+    throw new ValidationError(message, code)
+  }
+}
+
+/**
+ * Charset containing the 32 symbols used in the base32 encoding.
+ * @private
+ */
+var CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+
+/**
+ * Checks whether a string is a valid prefix; ie., it has a single letter case
+ * and is made up of letters and digits only.
+ * @private
+ * @param {string} prefix
+ * @returns {boolean}
+ */
+function isValidPrefix (prefix) {
+  return hasSingleCase(prefix) && /^[a-z0-9]+$/i.test(prefix)
+}
+
+/**
+ * Derives an array from the given prefix to be used in the computation
+ * of the address' checksum, including the trailing zero separator.
+ * @private
+ * @param {string} prefix - Network prefix. E.g.: 'bitcoincash'.
+ * @returns {Uint8Array}
+ */
+function prefixToUint5Array (prefix) {
+  var result = new Uint8Array(prefix.length + 1)
+  for (var i = 0; i < prefix.length; ++i) {
+    result[i] = prefix.charCodeAt(i) & 31
+  }
+  return result
+}
+
+/**
+ * Returns an array representation of the given checksum to be encoded
+ * within the address' payload.
+ * @private
+ * @param {number} checksum - Computed checksum.
+ * @returns {Uint8Array}
+ */
+function checksumToUint5Array (checksum) {
+  var result = new Uint8Array(8)
+  for (var i = 0; i < 8; ++i) {
+    result[7 - i] = checksum % 32
+    checksum = Math.floor(checksum / 32)
+  }
+  return result
+}
+
+/**
+ * Address type bits within the version byte.
+ * @private
+ */
+var TYPE_BITS = {
+  P2PKH: 0,
+  P2SH: 8,
+  P2PKHWithTokens: 16,
+  P2SHWithTokens: 24
+}
+
+/**
+ * Returns the bit representation of the given type within the version byte.
+ * @private
+ * @param {string} type - Address type. E.g.: 'P2PKH'.
+ * @returns {number}
+ * @throws {ValidationError}
+ */
+function getTypeBits (type) {
+  validate(TYPE_BITS.hasOwnProperty(type), 'Invalid type: ' + type + '.', ErrorCode.InvalidInput)
+  return TYPE_BITS[type]
+}
+
+/**
+ * Retrieves the address type from its bit representation within the version byte.
+ * @private
+ * @param {number} versionByte
+ * @returns {string}
+ * @throws {ValidationError}
+ */
+function getType (versionByte) {
+  for (var type in TYPE_BITS) {
+    if (TYPE_BITS[type] === (versionByte & 120)) {
+      return type
+    }
+  }
+  throw new ValidationError('Invalid address type in version byte: ' + versionByte + '.', ErrorCode.UnknownVersionByte)
+}
+
+/**
+ * Returns the bit representation of the length in bits of the given
+ * hash within the version byte.
+ * @private
+ * @param {Uint8Array} hash - Hash to encode represented as an array of 8-bit integers.
+ * @returns {number}
+ * @throws {ValidationError}
+ */
+function getHashSizeBits (hash) {
+  switch (hash.length * 8) {
+    case 160:
+      return 0
+    case 192:
+      return 1
+    case 224:
+      return 2
+    case 256:
+      return 3
+    case 320:
+      return 4
+    case 384:
+      return 5
+    case 448:
+      return 6
+    case 512:
+      return 7
+  }
+  throw new ValidationError('Invalid hash size: ' + hash.length + '.', ErrorCode.InvalidPayloadLength)
+}
+
+/**
+ * Retrieves the the length in bits of the encoded hash from its bit
+ * representation within the version byte.
+ * @private
+ * @param {number} versionByte
+ * @returns {number}
+ */
+function getHashSize (versionByte) {
+  return [160, 192, 224, 256, 320, 384, 448, 512][versionByte & 7]
+}
+
+/**
+ * Encodes the given array of 5-bit integers as a base32-encoded string.
+ * @private
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+function encodeBase32 (data) {
+  var result = ''
+  for (var i = 0; i < data.length; ++i) {
+    result += CHARSET[data[i]]
+  }
+  return result
+}
+
+/**
+ * Decodes the given base32-encoded string into an array of 5-bit integers.
+ * @private
+ * @param {string} string
+ * @returns {Uint8Array}
+ * @throws {ValidationError}
+ */
+function decodeBase32 (string) {
+  var data = new Uint8Array(string.length)
+  for (var i = 0; i < string.length; ++i) {
+    var value = CHARSET.indexOf(string[i])
+    validate(value !== -1, 'Invalid character: ' + string[i] + '.', ErrorCode.InvalidCharacter)
+    data[i] = value
+  }
+  return data
+}
+
+/**
+ * Converts an array of integers made up of `from` bits into an
+ * array of integers made up of `to` bits. The output array is
+ * zero-padded if necessary, unless strict mode is true.
+ * @private
+ * @param {Uint8Array} data
+ * @param {number} from
+ * @param {number} to
+ * @param {boolean} strict
+ * @returns {Uint8Array}
+ * @throws {ValidationError}
+ */
+function convertBits (data, from, to, strict) {
+  var length = strict
+    ? Math.floor(data.length * from / to)
+    : Math.ceil(data.length * from / to)
+  var mask = (1 << to) - 1
+  var result = new Uint8Array(length)
+  var index = 0
+  var accumulator = 0
+  var bits = 0
+  for (var i = 0; i < data.length; ++i) {
+    accumulator = (accumulator << from) | data[i]
+    bits += from
+    while (bits >= to) {
+      bits -= to
+      result[index++] = (accumulator >> bits) & mask
+    }
+  }
+  if (!strict) {
+    if (bits > 0) {
+      result[index++] = (accumulator << (to - bits)) & mask
+    }
+  } else {
+    validate(
+      bits < from && ((accumulator << (to - bits)) & mask) === 0,
+      'Input cannot be converted to ' + to + ' bits without padding, but strict mode was used.',
+      ErrorCode.InvalidPayloadLength
+    )
+  }
+  return result
+}
+
+/**
+ * Converts an array of 8-bit integers into an array of 5-bit integers,
+ * right-padding with zeroes if necessary.
+ * @private
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function toUint5Array (data) {
+  return convertBits(data, 8, 5)
+}
+
+/**
+ * Converts an array of 5-bit integers back into an array of 8-bit integers,
+ * removing extra zeroes left from padding if necessary.
+ * @private
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ * @throws {ValidationError}
+ */
+function fromUint5Array (data) {
+  return convertBits(data, 5, 8, true)
+}
+
+/**
+ * Returns the concatenation a and b.
+ * @private
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {Uint8Array}
+ */
+function concat (a, b) {
+  var ab = new Uint8Array(a.length + b.length)
+  ab.set(a)
+  ab.set(b, a.length)
+  return ab
+}
+
+/**
+ * Generator coefficients of the checksum polynomial, each split into
+ * its high 8 bits and low 32 bits.
+ * @private
+ */
+var GENERATOR_HIGH = [0x98, 0x79, 0xf3, 0xae, 0x1e]
+var GENERATOR_LOW = [0xf2bc8e61, 0xb76d99e2, 0x3e5fb3c4, 0x2eabe2a8, 0x4f43e470]
+
+/**
+ * Computes a checksum from the given input data as specified for the CashAddr
+ * format. The 40-bit state is kept in two numbers so that the computation
+ * only relies on 32-bit bitwise operators.
+ * @private
+ * @param {Uint8Array} data - Array of 5-bit integers over which the checksum is to be computed.
+ * @returns {number}
+ */
+function polymod (data) {
+  var high = 0
+  var low = 1
+  for (var i = 0; i < data.length; ++i) {
+    var topBits = high >>> 3
+    high = ((high & 0x07) << 5) | (low >>> 27)
+    low = (((low & 0x07ffffff) << 5) ^ data[i]) >>> 0
+    for (var j = 0; j < 5; ++j) {
+      if ((topBits >>> j) & 1) {
+        high ^= GENERATOR_HIGH[j]
+        low = (low ^ GENERATOR_LOW[j]) >>> 0
+      }
+    }
+  }
+  return high * 0x100000000 + ((low ^ 1) >>> 0)
+}
+
+/**
+ * Returns the exclusive or of two 40-bit checksums.
+ * @private
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function xor40 (a, b) {
+  var high = Math.floor(a / 0x100000000) ^ Math.floor(b / 0x100000000)
+  var low = ((a % 0x100000000) ^ (b % 0x100000000)) >>> 0
+  return high * 0x100000000 + low
+}
+
+/**
+ * Computes, for every position of a payload of the given length and every non-zero
+ * 5-bit error value, how the checksum changes when the error is added to the payload.
+ * The checksum is affine over GF(2), so the change does not depend on the payload itself
+ * and is linear in the error value.
+ * @private
+ * @param {Uint8Array} prefixData - Prefix as returned by prefixToUint5Array.
+ * @param {number} length - Length of the payload, including its checksum.
+ * @returns {Array<Array<number>>}
+ */
+function getErrorSyndromes (prefixData, length) {
+  var base = polymod(concat(prefixData, new Uint8Array(length)))
+  var result = []
+  for (var position = 0; position < length; ++position) {
+    var syndromes = [0]
+    for (var bit = 0; bit < 5; ++bit) {
+      var data = new Uint8Array(length)
+      data[position] = 1 << bit
+      var syndrome = xor40(polymod(concat(prefixData, data)), base)
+      for (var value = 0; value < (1 << bit); ++value) {
+        syndromes[(1 << bit) + value] = xor40(syndrome, syndromes[value])
+      }
+    }
+    result.push(syndromes)
+  }
+  return result
+}
+
+/**
+ * Returns true if, and only if, the given string contains either uppercase
+ * or lowercase letters, but not both.
+ * @private
+ * @param {string} string - Input string.
+ * @returns {boolean}
+ */
+function hasSingleCase (string) {
+  return string === string.toLowerCase() || string === string.toUpperCase()
+}
+
+module.exports = {
+  encode: encode,
+  decode: decode,
+  findCorrections: findCorrections,
+  findPrefixes: findPrefixes,
+  ErrorCode: ErrorCode,
+  ValidationError: ValidationError
+}
@@ -0,0 +1,41 @@
+export enum Format {
+    Legacy = "legacy",
+    Bitpay = "bitpay",
+    Cashaddr = "cashaddr",
+    Slpaddr = "slpaddr",
+    Ecash = "ecash",
+    Etoken = "etoken"
+}
+    
+export enum Network {
+    Mainnet = "mainnet",
+    Testnet = "testnet",
+    Regtest = "regtest"
+}
+    
+export enum Type {
+    P2PKH = "p2pkh",
+    P2SH = "p2sh"
+}
+
+export enum Subtype {
+    P2PKH = "p2pkh",
+    P2SH20 = "p2sh20",
+    P2SH32 = "p2sh32"
+}
+
+export enum ErrorCode {
+    InvalidAddress = "invalid_address",
+    InvalidInput = "invalid_input",
+    InvalidCharacter = "invalid_character",
+    MixedCase = "mixed_case",
+    UnknownPrefix = "unknown_prefix",
+    InvalidChecksum = "invalid_checksum",
+    InvalidPayloadLength = "invalid_payload_length",
+    UnknownVersionByte = "unknown_version_byte",
+    AmbiguousPrefix = "ambiguous_prefix",
+    MissingPrefix = "missing_prefix",
+    UnexpectedNetwork = "unexpected_network",
+    UnexpectedFormat = "unexpected_format",
+    UnexpectedType = "unexpected_type"
+}
\ No newline at end of file
@@ -0,0 +1,78 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+/**
+ * Constants shared by every module of the library: address formats, networks,
+ * address types and sub-types, and the reasons for which an address may fail to decode.
+ * @module constants
+ */
+
+/**
+ * @static
+ * Supported Bitcoin Cash address formats.
+ */
+var Format = {}
+Format.Legacy = 'legacy'
+Format.Bitpay = 'bitpay'
+Format.Cashaddr = 'cashaddr'
+Format.Slpaddr = 'slpaddr'
+Format.Ecash = 'ecash'
+Format.Etoken = 'etoken'
+
+/**
+ * @static
+ * Supported networks.
+ */
+var Network = {}
+Network.Mainnet = 'mainnet'
+Network.Testnet = 'testnet'
+Network.Regtest = 'regtest'
+
+/**
+ * @static
+ * Supported address types.
+ */
+var Type = {}
+Type.P2PKH = 'p2pkh'
+Type.P2SH = 'p2sh'
+
+/**
+ * @static
+ * Supported address sub-types, telling apart P2SH addresses by the length of their script hash.
+ */
+var Subtype = {}
+Subtype.P2PKH = 'p2pkh'
+Subtype.P2SH20 = 'p2sh20'
+Subtype.P2SH32 = 'p2sh32'
+
+/**
+ * @static
+ * Reasons for which an address may fail to decode, as found in the code of an {@link InvalidAddressError}.
+ */
+var ErrorCode = {}
+ErrorCode.InvalidAddress = 'invalid_address'
+ErrorCode.InvalidInput = 'invalid_input'
+ErrorCode.InvalidCharacter = 'invalid_character'
+ErrorCode.MixedCase = 'mixed_case'
+ErrorCode.UnknownPrefix = 'unknown_prefix'
+ErrorCode.InvalidChecksum = 'invalid_checksum'
+ErrorCode.InvalidPayloadLength = 'invalid_payload_length'
+ErrorCode.UnknownVersionByte = 'unknown_version_byte'
+ErrorCode.AmbiguousPrefix = 'ambiguous_prefix'
+ErrorCode.MissingPrefix = 'missing_prefix'
+ErrorCode.UnexpectedNetwork = 'unexpected_network'
+ErrorCode.UnexpectedFormat = 'unexpected_format'
+ErrorCode.UnexpectedType = 'unexpected_type'
+
+module.exports = {
+  Format: Format,
+  Network: Network,
+  Type: Type,
+  Subtype: Subtype,
+  ErrorCode: ErrorCode
+}
@@ -0,0 +1,24 @@
+import { Format, ErrorCode } from "./constants";
+
+export class InvalidAddressError extends Error {
+    constructor(code?: ErrorCode, message?: string, format?: Format, errors?: { [decoder: string]: InvalidAddressError });
+    code: ErrorCode;
+    format: Format | null;
+    errors: { base58?: InvalidAddressError; cashaddr?: InvalidAddressError; slpaddr?: InvalidAddressError; ecash?: InvalidAddressError; etoken?: InvalidAddressError };
+}
+
+export class UnsupportedConversionError extends Error {
+    constructor(message?: string);
+}
+
+export class UnsupportedScriptError extends Error {
+    constructor(message?: string);
+}
+
+export class InvalidPublicKeyError extends Error {
+    constructor(message?: string);
+}
+
+export class InvalidPaymentURIError extends Error {
+    constructor(message?: string);
+}
\ No newline at end of file
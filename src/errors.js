@@ -0,0 +1,22 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var errors = require('./internal/errors')
+
+/**
+ * Errors thrown by the library.
+ * @module errors
+ */
+
+module.exports = {
+  InvalidAddressError: errors.InvalidAddressError,
+  UnsupportedConversionError: errors.UnsupportedConversionError,
+  UnsupportedScriptError: errors.UnsupportedScriptError,
+  InvalidPublicKeyError: errors.InvalidPublicKeyError,
+  InvalidPaymentURIError: errors.InvalidPaymentURIError
+}
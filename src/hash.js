@@ -0,0 +1,335 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+/**
+ * Pure JavaScript implementations of the hash functions used to derive
+ * addresses, which work the same in Node.js and in the browser.
+ * @module hash
+ */
+
+/**
+ * Computes the SHA-256 hash of the given data.
+ * @static
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function sha256 (data) {
+  var block = pad(data, false)
+  var state = SHA_256_INITIAL_STATE.slice()
+  var words = new Int32Array(64)
+  for (var offset = 0; offset < block.length; offset += 64) {
+    for (var t = 0; t < 16; ++t) {
+      words[t] = readWordBigEndian(block, offset + 4 * t)
+    }
+    for (t = 16; t < 64; ++t) {
+      var s0 = rotr(words[t - 15], 7) ^ rotr(words[t - 15], 18) ^ (words[t - 15] >>> 3)
+      var s1 = rotr(words[t - 2], 17) ^ rotr(words[t - 2], 19) ^ (words[t - 2] >>> 10)
+      words[t] = (words[t - 16] + s0 + words[t - 7] + s1) | 0
+    }
+    var a = state[0]
+    var b = state[1]
+    var c = state[2]
+    var d = state[3]
+    var e = state[4]
+    var f = state[5]
+    var g = state[6]
+    var h = state[7]
+    for (t = 0; t < 64; ++t) {
+      var t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA_256_K[t] + words[t]) | 0
+      var t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0
+      h = g
+      g = f
+      f = e
+      e = (d + t1) | 0
+      d = c
+      c = b
+      b = a
+      a = (t1 + t2) | 0
+    }
+    state[0] = (state[0] + a) | 0
+    state[1] = (state[1] + b) | 0
+    state[2] = (state[2] + c) | 0
+    state[3] = (state[3] + d) | 0
+    state[4] = (state[4] + e) | 0
+    state[5] = (state[5] + f) | 0
+    state[6] = (state[6] + g) | 0
+    state[7] = (state[7] + h) | 0
+  }
+  var result = new Uint8Array(32)
+  for (var i = 0; i < 8; ++i) {
+    writeWordBigEndian(result, 4 * i, state[i])
+  }
+  return result
+}
+
+/**
+ * Computes the RIPEMD-160 hash of the given data.
+ * @static
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function ripemd160 (data) {
+  var block = pad(data, true)
+  var state = RIPEMD_160_INITIAL_STATE.slice()
+  var words = new Int32Array(16)
+  for (var offset = 0; offset < block.length; offset += 64) {
+    for (var t = 0; t < 16; ++t) {
+      words[t] = readWordLittleEndian(block, offset + 4 * t)
+    }
+    var al = state[0]
+    var bl = state[1]
+    var cl = state[2]
+    var dl = state[3]
+    var el = state[4]
+    var ar = al
+    var br = bl
+    var cr = cl
+    var dr = dl
+    var er = el
+    for (var j = 0; j < 80; ++j) {
+      var temp = (rotl((al + ripemd160F(j, bl, cl, dl) + words[RIPEMD_160_RL[j]] + RIPEMD_160_KL[j >> 4]) | 0, RIPEMD_160_SL[j]) + el) | 0
+      al = el
+      el = dl
+      dl = rotl(cl, 10)
+      cl = bl
+      bl = temp
+      temp = (rotl((ar + ripemd160F(79 - j, br, cr, dr) + words[RIPEMD_160_RR[j]] + RIPEMD_160_KR[j >> 4]) | 0, RIPEMD_160_SR[j]) + er) | 0
+      ar = er
+      er = dr
+      dr = rotl(cr, 10)
+      cr = br
+      br = temp
+    }
+    temp = (state[1] + cl + dr) | 0
+    state[1] = (state[2] + dl + er) | 0
+    state[2] = (state[3] + el + ar) | 0
+    state[3] = (state[4] + al + br) | 0
+    state[4] = (state[0] + bl + cr) | 0
+    state[0] = temp
+  }
+  var result = new Uint8Array(20)
+  for (var i = 0; i < 5; ++i) {
+    writeWordLittleEndian(result, 4 * i, state[i])
+  }
+  return result
+}
+
+/**
+ * Computes the RIPEMD-160 hash of the SHA-256 hash of the given data,
+ * as used for P2PKH and P2SH20 addresses.
+ * @static
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function hash160 (data) {
+  return ripemd160(sha256(data))
+}
+
+/**
+ * Computes the SHA-256 hash of the SHA-256 hash of the given data,
+ * as used for base58check checksums and P2SH32 addresses.
+ * @static
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function sha256d (data) {
+  return sha256(sha256(data))
+}
+
+/**
+ * Initial hash state of SHA-256.
+ * @private
+ */
+var SHA_256_INITIAL_STATE = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+]
+
+/**
+ * Round constants of SHA-256.
+ * @private
+ */
+var SHA_256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]
+
+/**
+ * Initial hash state of RIPEMD-160.
+ * @private
+ */
+var RIPEMD_160_INITIAL_STATE = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]
+
+/**
+ * Message word selection, rotation amounts and round constants of the left and right lines of RIPEMD-160.
+ * @private
+ */
+var RIPEMD_160_RL = [
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  7, 4, 13, 1, 10, 6, 15, 3, 12, 0, 9, 5, 2, 14, 11, 8,
+  3, 10, 14, 4, 9, 15, 8, 1, 2, 7, 0, 6, 13, 11, 5, 12,
+  1, 9, 11, 10, 0, 8, 12, 4, 13, 3, 7, 15, 14, 5, 6, 2,
+  4, 0, 5, 9, 7, 12, 2, 10, 14, 1, 3, 8, 11, 6, 15, 13
+]
+var RIPEMD_160_RR = [
+  5, 14, 7, 0, 9, 2, 11, 4, 13, 6, 15, 8, 1, 10, 3, 12,
+  6, 11, 3, 7, 0, 13, 5, 10, 14, 15, 8, 12, 4, 9, 1, 2,
+  15, 5, 1, 3, 7, 14, 6, 9, 11, 8, 12, 2, 10, 0, 4, 13,
+  8, 6, 4, 1, 3, 11, 15, 0, 5, 12, 2, 13, 9, 7, 10, 14,
+  12, 15, 10, 4, 1, 5, 8, 7, 6, 2, 13, 14, 0, 3, 9, 11
+]
+var RIPEMD_160_SL = [
+  11, 14, 15, 12, 5, 8, 7, 9, 11, 13, 14, 15, 6, 7, 9, 8,
+  7, 6, 8, 13, 11, 9, 7, 15, 7, 12, 15, 9, 11, 7, 13, 12,
+  11, 13, 6, 7, 14, 9, 13, 15, 14, 8, 13, 6, 5, 12, 7, 5,
+  11, 12, 14, 15, 14, 15, 9, 8, 9, 14, 5, 6, 8, 6, 5, 12,
+  9, 15, 5, 11, 6, 8, 13, 12, 5, 12, 13, 14, 11, 8, 5, 6
+]
+var RIPEMD_160_SR = [
+  8, 9, 9, 11, 13, 15, 15, 5, 7, 7, 8, 11, 14, 14, 12, 6,
+  9, 13, 15, 7, 12, 8, 9, 11, 7, 7, 12, 7, 6, 15, 13, 11,
+  9, 7, 15, 11, 8, 6, 6, 14, 12, 13, 5, 14, 13, 13, 7, 5,
+  15, 5, 8, 11, 14, 14, 6, 14, 6, 9, 12, 9, 12, 5, 15, 8,
+  8, 5, 12, 9, 12, 5, 14, 6, 8, 13, 6, 5, 15, 13, 11, 11
+]
+var RIPEMD_160_KL = [0x00000000, 0x5a827999, 0x6ed9eba1, 0x8f1bbcdc, 0xa953fd4e]
+var RIPEMD_160_KR = [0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x7a6d76e9, 0x00000000]
+
+/**
+ * Nonlinear function of RIPEMD-160 for the given round.
+ * @private
+ * @param {number} j - Round number, from 0 to 79.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {number}
+ */
+function ripemd160F (j, x, y, z) {
+  if (j < 16) {
+    return x ^ y ^ z
+  }
+  if (j < 32) {
+    return (x & y) | (~x & z)
+  }
+  if (j < 48) {
+    return (x | ~y) ^ z
+  }
+  if (j < 64) {
+    return (x & z) | (y & ~z)
+  }
+  return x ^ (y | ~z)
+}
+
+/**
+ * Pads the given data into 64-byte blocks, appending its length in bits
+ * with the given endianness, as done by SHA-256 and RIPEMD-160.
+ * @private
+ * @param {Uint8Array} data
+ * @param {boolean} littleEndian
+ * @returns {Uint8Array}
+ */
+function pad (data, littleEndian) {
+  var length = data.length
+  var block = new Uint8Array(Math.ceil((length + 9) / 64) * 64)
+  block.set(data)
+  block[length] = 0x80
+  var low = length << 3
+  var high = Math.floor(length / 0x20000000)
+  if (littleEndian) {
+    writeWordLittleEndian(block, block.length - 8, low)
+    writeWordLittleEndian(block, block.length - 4, high)
+  } else {
+    writeWordBigEndian(block, block.length - 8, high)
+    writeWordBigEndian(block, block.length - 4, low)
+  }
+  return block
+}
+
+/**
+ * Reads a 32-bit big-endian word at the given offset.
+ * @private
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {number}
+ */
+function readWordBigEndian (bytes, offset) {
+  return (bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]
+}
+
+/**
+ * Reads a 32-bit little-endian word at the given offset.
+ * @private
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {number}
+ */
+function readWordLittleEndian (bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)
+}
+
+/**
+ * Writes a 32-bit big-endian word at the given offset.
+ * @private
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} word
+ */
+function writeWordBigEndian (bytes, offset, word) {
+  bytes[offset] = word >>> 24
+  bytes[offset + 1] = word >>> 16
+  bytes[offset + 2] = word >>> 8
+  bytes[offset + 3] = word
+}
+
+/**
+ * Writes a 32-bit little-endian word at the given offset.
+ * @private
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} word
+ */
+function writeWordLittleEndian (bytes, offset, word) {
+  bytes[offset] = word
+  bytes[offset + 1] = word >>> 8
+  bytes[offset + 2] = word >>> 16
+  bytes[offset + 3] = word >>> 24
+}
+
+/**
+ * Rotates the given 32-bit word right by the given amount.
+ * @private
+ * @param {number} word
+ * @param {number} amount
+ * @returns {number}
+ */
+function rotr (word, amount) {
+  return (word >>> amount) | (word << (32 - amount))
+}
+
+/**
+ * Rotates the given 32-bit word left by the given amount.
+ * @private
+ * @param {number} word
+ * @param {number} amount
+ * @returns {number}
+ */
+function rotl (word, amount) {
+  return (word << amount) | (word >>> (32 - amount))
+}
+
+module.exports = {
+  sha256: sha256,
+  ripemd160: ripemd160,
+  hash160: hash160,
+  sha256d: sha256d
+}
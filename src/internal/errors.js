@@ -0,0 +1,136 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var ErrorCode = require('../constants').ErrorCode
+
+/**
+ * Errors thrown by the library, along with the helpers the codecs use to pick among them.
+ * Only the error constructors are public, through [errors]{@link module:errors}.
+ * @private
+ */
+
+/**
+ * Error thrown when the address given as input is not a valid Bitcoin Cash address.
+ * @constructor
+ * InvalidAddressError
+ * @param {string} [code] - Reason for the failure, one of {@link ErrorCode}.
+ * @param {string} [message] - Error description.
+ * @param {string} [format] - Format the address most likely matched, if any.
+ * @param {object} [errors] - Failure of each attempted decoder, keyed by 'base58' and each cashaddr-based format.
+ */
+function InvalidAddressError (code, message, format, errors) {
+  var error = new Error()
+  this.name = error.name = 'InvalidAddressError'
+  this.message = error.message = message || 'Received an invalid Bitcoin Cash address as input.'
+  this.code = code || ErrorCode.InvalidAddress
+  this.format = format || null
+  this.errors = errors || {}
+  this.stack = error.stack
+}
+
+InvalidAddressError.prototype = Object.create(Error.prototype)
+
+/**
+ * Error thrown when the address given as input cannot be represented in the requested format.
+ * @constructor
+ * UnsupportedConversionError
+ * @param {string} message - Error description.
+ */
+function UnsupportedConversionError (message) {
+  var error = new Error()
+  this.name = error.name = 'UnsupportedConversionError'
+  this.message = error.message = message
+  this.stack = error.stack
+}
+
+UnsupportedConversionError.prototype = Object.create(Error.prototype)
+
+/**
+ * Error thrown when the script given as input is malformed or, for output scripts, does not match any standard template.
+ * @constructor
+ * UnsupportedScriptError
+ * @param {string} message - Error description.
+ */
+function UnsupportedScriptError (message) {
+  var error = new Error()
+  this.name = error.name = 'UnsupportedScriptError'
+  this.message = error.message = message
+  this.stack = error.stack
+}
+
+UnsupportedScriptError.prototype = Object.create(Error.prototype)
+
+/**
+ * Error thrown when the public key given as input is malformed.
+ * @constructor
+ * InvalidPublicKeyError
+ * @param {string} message - Error description.
+ */
+function InvalidPublicKeyError (message) {
+  var error = new Error()
+  this.name = error.name = 'InvalidPublicKeyError'
+  this.message = error.message = message
+  this.stack = error.stack
+}
+
+InvalidPublicKeyError.prototype = Object.create(Error.prototype)
+
+/**
+ * Error thrown when the payment URI given as input, or the parameters to build one, are invalid.
+ * @constructor
+ * InvalidPaymentURIError
+ * @param {string} message - Error description.
+ */
+function InvalidPaymentURIError (message) {
+  var error = new Error()
+  this.name = error.name = 'InvalidPaymentURIError'
+  this.message = error.message = message
+  this.stack = error.stack
+}
+
+InvalidPaymentURIError.prototype = Object.create(Error.prototype)
+
+/**
+ * How far decoding got before failing with each error code, used to
+ * guess which format an invalid address was most likely meant to be in.
+ * @private
+ */
+var ERROR_CODE_PROGRESS = {}
+ERROR_CODE_PROGRESS[ErrorCode.InvalidInput] = 0
+ERROR_CODE_PROGRESS[ErrorCode.UnknownPrefix] = 0
+ERROR_CODE_PROGRESS[ErrorCode.InvalidCharacter] = 1
+ERROR_CODE_PROGRESS[ErrorCode.MixedCase] = 1
+ERROR_CODE_PROGRESS[ErrorCode.InvalidChecksum] = 2
+ERROR_CODE_PROGRESS[ErrorCode.InvalidPayloadLength] = 3
+ERROR_CODE_PROGRESS[ErrorCode.UnknownVersionByte] = 3
+
+/**
+ * Returns, among the given errors thrown by different decoders for the same address, the one
+ * from the decoder which got the furthest before failing. Ties go to the earliest error.
+ * @static
+ * @param {Array<InvalidAddressError>} candidates
+ * @returns {InvalidAddressError}
+ */
+function getFurthestError (candidates) {
+  var result = candidates[0]
+  for (var i = 1; i < candidates.length; ++i) {
+    if (ERROR_CODE_PROGRESS[candidates[i].code] > ERROR_CODE_PROGRESS[result.code]) {
+      result = candidates[i]
+    }
+  }
+  return result
+}
+
+module.exports = {
+  InvalidAddressError: InvalidAddressError,
+  UnsupportedConversionError: UnsupportedConversionError,
+  UnsupportedScriptError: UnsupportedScriptError,
+  InvalidPublicKeyError: InvalidPublicKeyError,
+  InvalidPaymentURIError: InvalidPaymentURIError,
+  getFurthestError: getFurthestError
+}
@@ -0,0 +1,310 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var Format = require('../constants').Format
+var Network = require('../constants').Network
+var Type = require('../constants').Type
+
+/**
+ * Implementation of the network registry, along with the hook the codecs use to
+ * learn about new networks. Public through [networks]{@link module:networks}.
+ * @private
+ */
+
+/**
+ * Version byte table for base58 formats. Regtest shares its version
+ * bytes with testnet, so base58 addresses are always decoded as testnet.
+ * Bitpay format only exists on mainnet.
+ * @private
+ */
+var VERSION_BYTE = {}
+VERSION_BYTE[Format.Legacy] = {}
+VERSION_BYTE[Format.Legacy][Network.Mainnet] = {}
+VERSION_BYTE[Format.Legacy][Network.Mainnet][Type.P2PKH] = 0
+VERSION_BYTE[Format.Legacy][Network.Mainnet][Type.P2SH] = 5
+VERSION_BYTE[Format.Legacy][Network.Testnet] = {}
+VERSION_BYTE[Format.Legacy][Network.Testnet][Type.P2PKH] = 111
+VERSION_BYTE[Format.Legacy][Network.Testnet][Type.P2SH] = 196
+VERSION_BYTE[Format.Legacy][Network.Regtest] = VERSION_BYTE[Format.Legacy][Network.Testnet]
+VERSION_BYTE[Format.Bitpay] = {}
+VERSION_BYTE[Format.Bitpay][Network.Mainnet] = {}
+VERSION_BYTE[Format.Bitpay][Network.Mainnet][Type.P2PKH] = 28
+VERSION_BYTE[Format.Bitpay][Network.Mainnet][Type.P2SH] = 40
+
+/**
+ * Prefix table for cashaddr-based formats.
+ * @private
+ */
+var PREFIX = {}
+PREFIX[Format.Cashaddr] = {}
+PREFIX[Format.Cashaddr][Network.Mainnet] = 'bitcoincash'
+PREFIX[Format.Cashaddr][Network.Testnet] = 'bchtest'
+PREFIX[Format.Cashaddr][Network.Regtest] = 'bchreg'
+PREFIX[Format.Slpaddr] = {}
+PREFIX[Format.Slpaddr][Network.Mainnet] = 'simpleledger'
+PREFIX[Format.Slpaddr][Network.Testnet] = 'slptest'
+PREFIX[Format.Slpaddr][Network.Regtest] = 'slpreg'
+PREFIX[Format.Ecash] = {}
+PREFIX[Format.Ecash][Network.Mainnet] = 'ecash'
+PREFIX[Format.Ecash][Network.Testnet] = 'ectest'
+PREFIX[Format.Ecash][Network.Regtest] = 'ecregtest'
+PREFIX[Format.Etoken] = {}
+PREFIX[Format.Etoken][Network.Mainnet] = 'etoken'
+
+/**
+ * Prefixes accepted when decoding, besides the ones in the prefix table.
+ * @private
+ */
+var PREFIX_ALIASES = {}
+PREFIX_ALIASES[Format.Cashaddr] = { regtest: Network.Regtest }
+PREFIX_ALIASES[Format.Slpaddr] = {}
+PREFIX_ALIASES[Format.Ecash] = {}
+PREFIX_ALIASES[Format.Etoken] = {}
+
+/**
+ * Cashaddr-based formats, in the order in which they are tried when decoding.
+ * @static
+ */
+var PREFIXED_FORMATS = [Format.Cashaddr, Format.Slpaddr, Format.Ecash, Format.Etoken]
+
+/**
+ * Configuration key holding the prefix of a registered network in each cashaddr-based format.
+ * @private
+ */
+var PREFIX_CONFIG_KEY = {}
+PREFIX_CONFIG_KEY[Format.Cashaddr] = 'cashaddrPrefix'
+PREFIX_CONFIG_KEY[Format.Slpaddr] = 'slpPrefix'
+PREFIX_CONFIG_KEY[Format.Ecash] = 'ecashPrefix'
+PREFIX_CONFIG_KEY[Format.Etoken] = 'etokenPrefix'
+
+/**
+ * Registers an additional network, such as a private chain with its own cashaddr prefix.
+ * Decoding, detection and translation take registered networks into account and report
+ * them by name. Chipnet, testnet4 and scalenet share the bchtest prefix and testnet
+ * version bytes, so their addresses are already decoded as testnet.<br />
+ * Base58 version bytes must not be in use already, in either base58 format.
+ * @static
+ * @param {object} config
+ * @param {string} config.name - Name of the network, as found in decoded addresses.
+ * @param {string} config.cashaddrPrefix - Cashaddr prefix of the network. E.g.: 'bchpriv'.
+ * @param {string} [config.slpPrefix] - Slpaddr prefix of the network, if any.
+ * @param {string} [config.ecashPrefix] - eCash prefix of the network, if any.
+ * @param {string} [config.etokenPrefix] - eToken prefix of the network, if any.
+ * @param {object} [config.base58Versions] - Version bytes by base58 format and address type, if any.
+ * E.g.: { legacy: { p2pkh: 0, p2sh: 5 }, bitpay: { p2pkh: 28, p2sh: 40 } }.
+ * @throws {TypeError}
+ */
+function registerNetwork (config) {
+  if (!config || typeof config.name !== 'string' || config.name.length === 0) {
+    throw new TypeError('Expected a network name, received: ' + (config && config.name) + '.')
+  }
+  if (isKnownNetwork(config.name) || hasOwn(PREFIX_ALIASES[Format.Cashaddr], config.name)) {
+    throw new TypeError('Network already registered: ' + config.name + '.')
+  }
+  var prefixes = {}
+  PREFIXED_FORMATS.forEach(function (format) {
+    var prefix = config[PREFIX_CONFIG_KEY[format]]
+    if (prefix === undefined && format !== Format.Cashaddr) {
+      return
+    }
+    validateRegisteredPrefix(format, prefix)
+    if (Object.keys(prefixes).some(function (other) { return prefixes[other] === prefix })) {
+      throw new TypeError('The prefixes of a network must differ: ' + prefix + '.')
+    }
+    prefixes[format] = prefix
+  })
+  var base58Versions = config.base58Versions || {}
+  var versionBytes = []
+  Object.keys(base58Versions).forEach(function (format) {
+    if (format !== Format.Legacy && format !== Format.Bitpay) {
+      throw new TypeError('Unsupported base58 format: ' + format + '.')
+    }
+    Object.keys(base58Versions[format]).forEach(function (type) {
+      var versionByte = base58Versions[format][type]
+      if (type !== Type.P2PKH && type !== Type.P2SH) {
+        throw new TypeError('Unsupported address type: ' + type + '.')
+      }
+      if (versionByte !== (versionByte & 0xff)) {
+        throw new TypeError('Invalid version byte: ' + versionByte + '.')
+      }
+      if (getVersionByteInfo(versionByte) !== null || versionBytes.indexOf(versionByte) !== -1) {
+        throw new TypeError('Version byte already registered: ' + versionByte + '.')
+      }
+      versionBytes.push(versionByte)
+    })
+  })
+  Object.keys(prefixes).forEach(function (format) {
+    PREFIX[format][config.name] = prefixes[format]
+  })
+  Object.keys(base58Versions).forEach(function (format) {
+    VERSION_BYTE[format][config.name] = {}
+    Object.keys(base58Versions[format]).forEach(function (type) {
+      VERSION_BYTE[format][config.name][type] = base58Versions[format][type]
+    })
+  })
+  REGISTRATION_LISTENERS.forEach(function (listener) {
+    listener(config.name)
+  })
+}
+
+/**
+ * Throws a TypeError unless the given prefix is valid and not in use for any cashaddr-based format.
+ * @private
+ * @param {string} format - A cashaddr-based format.
+ * @param {string} prefix
+ * @throws {TypeError}
+ */
+function validateRegisteredPrefix (format, prefix) {
+  if (typeof prefix !== 'string' || !/^[a-z0-9]+$/.test(prefix)) {
+    throw new TypeError('Invalid ' + format + ' prefix: ' + prefix + '.')
+  }
+  var inUse = PREFIXED_FORMATS.some(function (other) {
+    return getPrefixNetwork(other, prefix)
+  })
+  if (inUse) {
+    throw new TypeError('Prefix already registered: ' + prefix + '.')
+  }
+}
+
+/**
+ * Functions called with the name of every network registered.
+ * @private
+ */
+var REGISTRATION_LISTENERS = []
+
+/**
+ * Calls the given function with the name of every network registered from now on,
+ * so that whatever depends on the set of known networks, such as a cache, can be updated.
+ * @static
+ * @param {function} listener
+ */
+function onRegisterNetwork (listener) {
+  REGISTRATION_LISTENERS.push(listener)
+}
+
+/**
+ * Returns true if the given network is known, either built in or registered.
+ * @static
+ * @param {string} network
+ * @returns {boolean}
+ */
+function isKnownNetwork (network) {
+  return hasOwn(PREFIX[Format.Cashaddr], network)
+}
+
+/**
+ * Returns true if the given object has the given key as an own property, so that keys such as
+ * 'constructor' are not mistaken for known networks or prefixes.
+ * @private
+ * @param {object} object
+ * @param {string} key
+ * @returns {boolean}
+ */
+function hasOwn (object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key)
+}
+
+/**
+ * Returns the prefix of the given network in the given cashaddr-based format, if any.
+ * @static
+ * @param {string} format - A cashaddr-based format.
+ * @param {string} network
+ * @returns {string|undefined}
+ */
+function getPrefix (format, network) {
+  return hasOwn(PREFIX[format], network) ? PREFIX[format][network] : undefined
+}
+
+/**
+ * Returns the version byte of the given network and address type in the given base58 format, if any.
+ * @static
+ * @param {string} format - A base58 format.
+ * @param {string} network
+ * @param {string} type
+ * @returns {number|undefined}
+ */
+function getVersionByte (format, network, type) {
+  var versionBytes = hasOwn(VERSION_BYTE[format], network) ? VERSION_BYTE[format][network] : {}
+  return hasOwn(versionBytes, type) ? versionBytes[type] : undefined
+}
+
+/**
+ * Returns the format, network and address type of the given base58 version byte, if any.
+ * Formats and networks are looked up in registration order, so the first match wins.
+ * @static
+ * @param {number} versionByte
+ * @returns {object|null}
+ */
+function getVersionByteInfo (versionByte) {
+  var formats = [Format.Legacy, Format.Bitpay]
+  for (var i = 0; i < formats.length; ++i) {
+    for (var network in VERSION_BYTE[formats[i]]) {
+      for (var type in VERSION_BYTE[formats[i]][network]) {
+        if (VERSION_BYTE[formats[i]][network][type] === versionByte) {
+          return { format: formats[i], network: network, type: type }
+        }
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Returns the network of the given prefix in the given cashaddr-based format, if any.
+ * @static
+ * @param {string} format
+ * @param {string} prefix
+ * @returns {string|undefined}
+ */
+function getPrefixNetwork (format, prefix) {
+  for (var network in PREFIX[format]) {
+    if (PREFIX[format][network] === prefix) {
+      return network
+    }
+  }
+  return hasOwn(PREFIX_ALIASES[format], prefix) ? PREFIX_ALIASES[format][prefix] : undefined
+}
+
+/**
+ * Returns every prefix accepted when decoding the given cashaddr-based format.
+ * @static
+ * @param {string} format
+ * @returns {Array<string>}
+ */
+function getPrefixes (format) {
+  return Object.keys(PREFIX[format]).map(function (network) {
+    return PREFIX[format][network]
+  }).concat(Object.keys(PREFIX_ALIASES[format]))
+}
+
+/**
+ * Returns the cashaddr-based format which the given prefix belongs to, if any.
+ * @static
+ * @param {string} prefix - Lowercase prefix.
+ * @return {string|undefined}
+ */
+function getPrefixFormat (prefix) {
+  for (var i = 0; i < PREFIXED_FORMATS.length; ++i) {
+    if (getPrefixNetwork(PREFIXED_FORMATS[i], prefix)) {
+      return PREFIXED_FORMATS[i]
+    }
+  }
+}
+
+module.exports = {
+  PREFIXED_FORMATS: PREFIXED_FORMATS,
+  registerNetwork: registerNetwork,
+  onRegisterNetwork: onRegisterNetwork,
+  isKnownNetwork: isKnownNetwork,
+  getPrefix: getPrefix,
+  getPrefixNetwork: getPrefixNetwork,
+  getPrefixes: getPrefixes,
+  getPrefixFormat: getPrefixFormat,
+  getVersionByte: getVersionByte,
+  getVersionByteInfo: getVersionByteInfo
+}
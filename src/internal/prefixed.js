@@ -0,0 +1,387 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var cashaddr = require('../cashaddr')
+var ErrorCode = require('../constants').ErrorCode
+var Format = require('../constants').Format
+var Network = require('../constants').Network
+var Subtype = require('../constants').Subtype
+var Type = require('../constants').Type
+var InvalidAddressError = require('./errors').InvalidAddressError
+var UnsupportedConversionError = require('./errors').UnsupportedConversionError
+var getFurthestError = require('./errors').getFurthestError
+var PREFIXED_FORMATS = require('./networks').PREFIXED_FORMATS
+var getPrefix = require('./networks').getPrefix
+var getPrefixes = require('./networks').getPrefixes
+var getPrefixFormat = require('./networks').getPrefixFormat
+var getPrefixNetwork = require('./networks').getPrefixNetwork
+
+/**
+ * Implementation of the cashaddr-based codecs, along with the decoding helpers shared
+ * with [bchaddr]{@link module:bchaddr}. Public through [prefixed]{@link module:prefixed}.
+ * @private
+ */
+
+/**
+ * Decodes the given address in any cashaddr-based format, with or without prefix.
+ * Addresses without prefix are rejected if they are valid under more than one prefix.
+ * @static
+ * @param {string} address - A valid address in a cashaddr-based format.
+ * @return {object}
+ * @throws {InvalidAddressError}
+ */
+function decodePrefixedAddress (address) {
+  if (typeof address !== 'string' || address.length === 0) {
+    throw new InvalidAddressError(ErrorCode.InvalidInput, 'Expected a non-empty string, received: ' + address + '.')
+  }
+  var separator = address.indexOf(':')
+  if (separator !== -1) {
+    var prefix = address.slice(0, separator).toLowerCase()
+    var format = getPrefixFormat(prefix)
+    if (!format) {
+      throw new InvalidAddressError(ErrorCode.UnknownPrefix, 'Unknown prefix: ' + prefix + '.')
+    }
+    return decodePrefixedFormatAddressWithPrefix(address, format)
+  }
+  var candidates = decodeWithoutPrefix(address)
+  if (candidates.length > 1) {
+    throw new InvalidAddressError(ErrorCode.AmbiguousPrefix, 'Address without prefix valid under more than one prefix: ' + address + '.')
+  }
+  if (candidates.length === 1) {
+    return candidates[0]
+  }
+  throw getFurthestError(PREFIXED_FORMATS.map(function (format) {
+    try {
+      decodePrefixedFormatAddress(address, format)
+    } catch (error) {
+      return error
+    }
+  }))
+}
+
+/**
+ * Returns a boolean indicating whether the given input is a valid address in a cashaddr-based format.
+ * @static
+ * @param {*} input - Any input to check for validity.
+ * @returns {boolean}
+ */
+function isValidPrefixedAddress (input) {
+  return decodeOrNull(decodePrefixedAddress, input) !== null
+}
+
+/**
+ * Attempts to decode the given address assuming it is in the given cashaddr-based format.
+ * Addresses without a prefix are tried against every prefix known for that format.
+ * @static
+ * @param {string} address - A valid address in the given format, with or without prefix.
+ * @param {string} format - A cashaddr-based format.
+ * @return {object}
+ * @throws {InvalidAddressError}
+ */
+function decodePrefixedFormatAddress (address, format) {
+  if (address.indexOf(':') !== -1) {
+    return decodePrefixedFormatAddressWithPrefix(address, format)
+  }
+  if (!hasSingleCase(address)) {
+    throw new InvalidAddressError(ErrorCode.MixedCase, 'Mixed case address: ' + address + '. Addresses must be either all lowercase or all uppercase.', format)
+  }
+  var payload = address.toLowerCase()
+  var prefixes = getPrefixes(format)
+  var firstError
+  for (var i = 0; i < prefixes.length; ++i) {
+    try {
+      return decodePrefixedFormatAddressWithPrefix(prefixes[i] + ':' + payload, format)
+    } catch (error) {
+      firstError = firstError || error
+    }
+  }
+  throw firstError
+}
+
+/**
+ * Attempts to decode the given address assuming it is in the given cashaddr-based format with explicit prefix.
+ * @static
+ * @param {string} address - A valid address in the given format.
+ * @param {string} format - A cashaddr-based format.
+ * @return {object}
+ * @throws {InvalidAddressError}
+ */
+function decodePrefixedFormatAddressWithPrefix (address, format) {
+  var prefix = address.slice(0, address.indexOf(':')).toLowerCase()
+  var network = getPrefixNetwork(format, prefix)
+  if (!network) {
+    throw new InvalidAddressError(ErrorCode.UnknownPrefix, 'Unknown ' + format + ' prefix: ' + prefix + '.', format)
+  }
+  try {
+    var decoded = cashaddr.decode(address)
+  } catch (error) {
+    var code = error.code === cashaddr.ErrorCode.InvalidPrefix ? ErrorCode.InvalidCharacter : error.code
+    throw new InvalidAddressError(code, error.message, format)
+  }
+  var hash = Array.prototype.slice.call(decoded.hash, 0)
+  var type = CASHADDR_TYPE[decoded.type].type
+  var subtype = getSubtype(type, hash.length)
+  if (!subtype) {
+    throw new InvalidAddressError(ErrorCode.InvalidPayloadLength, 'Invalid hash length for a ' + type + ' address: ' + hash.length + '.', format)
+  }
+  return {
+    hash: hash,
+    format: format,
+    network: network,
+    type: type,
+    subtype: subtype,
+    hashSize: hash.length,
+    tokenSupport: CASHADDR_TYPE[decoded.type].tokenSupport
+  }
+}
+
+/**
+ * Decodes the given cashaddr-based address without prefix under every known prefix
+ * for which its checksum is valid. Addresses may be all lowercase or all uppercase.
+ * @static
+ * @param {string} address
+ * @return {Array<object>}
+ */
+function decodeWithoutPrefix (address) {
+  var candidates = []
+  if (!hasSingleCase(address)) {
+    return candidates
+  }
+  var payload = address.toLowerCase()
+  PREFIXED_FORMATS.forEach(function (format) {
+    cashaddr.findPrefixes(payload, getPrefixes(format)).forEach(function (prefix) {
+      var decoded = decodeOrNull(decodePrefixedFormatAddressWithPrefix, prefix + ':' + payload, format)
+      if (decoded) {
+        candidates.push(decoded)
+      }
+    })
+  })
+  return candidates
+}
+
+/**
+ * Runs the given decoder, returning null instead of throwing when decoding fails.
+ * @static
+ * @param {function} decoder
+ * @param {string} address
+ * @param {string} [format]
+ * @return {object|null}
+ */
+function decodeOrNull (decoder, address, format) {
+  try {
+    return decoder(address, format)
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Returns true if the given string does not mix lowercase and uppercase letters.
+ * @static
+ * @param {string} string
+ * @returns {boolean}
+ */
+function hasSingleCase (string) {
+  return string === string.toLowerCase() || string === string.toUpperCase()
+}
+
+/**
+ * Address type and token support for each of the cashaddr codec's address types.
+ * @private
+ */
+var CASHADDR_TYPE = {
+  P2PKH: { type: Type.P2PKH, tokenSupport: false },
+  P2SH: { type: Type.P2SH, tokenSupport: false },
+  P2PKHWithTokens: { type: Type.P2PKH, tokenSupport: true },
+  P2SHWithTokens: { type: Type.P2SH, tokenSupport: true }
+}
+
+/**
+ * Returns the cashaddr codec's address type for the given decoded address.
+ * @private
+ * @param {object} decoded
+ * @returns {string}
+ */
+function getCashaddrType (decoded) {
+  var type = decoded.type === Type.P2PKH ? 'P2PKH' : 'P2SH'
+  return decoded.tokenSupport ? type + 'WithTokens' : type
+}
+
+/**
+ * Returns the sub-type of an address of the given type and hash size,
+ * or null if the hash size is not valid for the given type.
+ * @static
+ * @param {string} type
+ * @param {number} hashSize - Length of the hash in bytes.
+ * @returns {string|null}
+ */
+function getSubtype (type, hashSize) {
+  if (type === Type.P2PKH && hashSize === 20) {
+    return Subtype.P2PKH
+  }
+  if (type === Type.P2SH && hashSize === 20) {
+    return Subtype.P2SH20
+  }
+  if (type === Type.P2SH && hashSize === 32) {
+    return Subtype.P2SH32
+  }
+  return null
+}
+
+/**
+ * Encodes the given decoded address into cashaddr format.
+ * @static
+ * @param {object} decoded
+ * @param {object} [options] - Output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @returns {string}
+ */
+function encodeAsCashaddr (decoded, options) {
+  return encodeAsPrefixedFormat(decoded, Format.Cashaddr, decoded.network, options)
+}
+
+/**
+ * Encodes the given decoded address into slpaddr format.
+ * @static
+ * @param {object} decoded
+ * @param {object} [options] - Output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @returns {string}
+ * @throws {UnsupportedConversionError}
+ */
+function encodeAsSlpaddr (decoded, options) {
+  return encodeAsPrefixedFormat(decoded, Format.Slpaddr, decoded.network, options)
+}
+
+/**
+ * Encodes the given decoded address into eCash format.
+ * @static
+ * @param {object} decoded
+ * @param {object} [options] - Output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @returns {string}
+ * @throws {UnsupportedConversionError}
+ */
+function encodeAsEcashaddr (decoded, options) {
+  return encodeAsPrefixedFormat(decoded, Format.Ecash, decoded.network, options)
+}
+
+/**
+ * Encodes the given decoded address into eToken format.
+ * @static
+ * @param {object} decoded
+ * @param {object} [options] - Output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @returns {string}
+ * @throws {UnsupportedConversionError}
+ */
+function encodeAsEtokenaddr (decoded, options) {
+  return encodeAsPrefixedFormat(decoded, Format.Etoken, decoded.network, options)
+}
+
+/**
+ * Encodes the given decoded address into mainnet format.
+ * @static
+ * @param {object} decoded
+ * @param {object} [options] - Output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @returns {string}
+ */
+function encodeAsMainnetaddr (decoded, options) {
+  return encodeAsPrefixedFormat(decoded, getPrefixedFormat(decoded), Network.Mainnet, options)
+}
+
+/**
+ * Encodes the given decoded address into testnet format.
+ * @static
+ * @param {object} decoded
+ * @param {object} [options] - Output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @returns {string}
+ * @throws {UnsupportedConversionError}
+ */
+function encodeAsTestnetaddr (decoded, options) {
+  return encodeAsPrefixedFormat(decoded, getPrefixedFormat(decoded), Network.Testnet, options)
+}
+
+/**
+ * Encodes the given decoded address into regtest format.
+ * @static
+ * @param {object} decoded
+ * @param {object} [options] - Output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @returns {string}
+ * @throws {UnsupportedConversionError}
+ */
+function encodeAsRegtestaddr (decoded, options) {
+  return encodeAsPrefixedFormat(decoded, getPrefixedFormat(decoded), Network.Regtest, options)
+}
+
+/**
+ * Encodes the given decoded address into regtest format.
+ * @static
+ * @param {object} decoded
+ * @param {object} [options] - Output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @returns {string}
+ */
+function encodeAsSlpRegtestaddr (decoded, options) {
+  return encodeAsPrefixedFormat(decoded, Format.Slpaddr, Network.Regtest, options)
+}
+
+/**
+ * Returns the cashaddr-based format of the given decoded address, or cashaddr for base58 formats.
+ * @static
+ * @param {object} decoded
+ * @returns {string}
+ */
+function getPrefixedFormat (decoded) {
+  return PREFIXED_FORMATS.indexOf(decoded.format) !== -1 ? decoded.format : Format.Cashaddr
+}
+
+/**
+ * Encodes the given decoded address into the given cashaddr-based format and network.
+ * @static
+ * @param {object} decoded
+ * @param {string} format - A cashaddr-based format.
+ * @param {string} network
+ * @param {object} [options] - Output options, as taken by [#toCashAddress()]{@link toCashAddress}.
+ * @returns {string}
+ * @throws {UnsupportedConversionError}
+ * @throws {TypeError}
+ */
+function encodeAsPrefixedFormat (decoded, format, network, options) {
+  options = options || {}
+  if (options.case !== undefined && options.case !== 'lower' && options.case !== 'upper') {
+    throw new TypeError('Unsupported letter case: ' + options.case + '.')
+  }
+  var prefix = getPrefix(format, network)
+  if (prefix === undefined) {
+    throw new UnsupportedConversionError('Network ' + network + ' has no ' + format + ' prefix.')
+  }
+  var type = getCashaddrType(decoded)
+  var hash = Uint8Array.from(decoded.hash)
+  var address = cashaddr.encode(prefix, type, hash)
+  if (options.includePrefix === false) {
+    address = address.slice(prefix.length + 1)
+  }
+  return options.case === 'upper' ? address.toUpperCase() : address
+}
+
+module.exports = {
+  decodePrefixedAddress: decodePrefixedAddress,
+  isValidPrefixedAddress: isValidPrefixedAddress,
+  encodeAsCashaddr: encodeAsCashaddr,
+  encodeAsSlpaddr: encodeAsSlpaddr,
+  encodeAsEcashaddr: encodeAsEcashaddr,
+  encodeAsEtokenaddr: encodeAsEtokenaddr,
+  encodeAsMainnetaddr: encodeAsMainnetaddr,
+  encodeAsTestnetaddr: encodeAsTestnetaddr,
+  encodeAsRegtestaddr: encodeAsRegtestaddr,
+  encodeAsSlpRegtestaddr: encodeAsSlpRegtestaddr,
+  encodeAsPrefixedFormat: encodeAsPrefixedFormat,
+  getPrefixedFormat: getPrefixedFormat,
+  decodePrefixedFormatAddress: decodePrefixedFormatAddress,
+  decodePrefixedFormatAddressWithPrefix: decodePrefixedFormatAddressWithPrefix,
+  decodeWithoutPrefix: decodeWithoutPrefix,
+  decodeOrNull: decodeOrNull,
+  hasSingleCase: hasSingleCase,
+  getSubtype: getSubtype
+}
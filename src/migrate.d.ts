@@ -0,0 +1,39 @@
+import { Format, Network } from "./bchaddr";
+
+export interface migrationOptions {
+    format?: Format.Cashaddr | Format.Slpaddr;
+    network?: Network | string;
+}
+
+export interface migrationChange {
+    address: string;
+    replacement: string;
+    line: number;
+    column: number;
+}
+
+export interface unclassifiedAddress {
+    address: string;
+    message: string;
+    line: number;
+    column: number;
+}
+
+export interface migrationResult {
+    text: string;
+    changes: Array<migrationChange>;
+    unclassified: Array<unclassifiedAddress>;
+}
+
+export interface migrationFile extends migrationResult {
+    path: string;
+    original: string;
+}
+
+export function migrateText(text: string, options?: migrationOptions): migrationResult;
+
+export function planMigration(paths: Array<string>, options?: migrationOptions): Array<migrationFile>;
+
+export function formatMigrationDiff(plan: Array<migrationFile>): string;
+
+export function applyMigration(plan: Array<migrationFile>): Array<string>;
\ No newline at end of file
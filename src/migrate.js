@@ -0,0 +1,320 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var fs = require('fs')
+var path = require('path')
+var bchaddr = require('./bchaddr')
+var getPrefixFormat = require('./networks').getPrefixFormat
+
+/**
+ * Migration of legacy and bitpay addresses held in text files, such as configuration files,
+ * into cashaddr or slpaddr format.<br />
+ * Migrations are planned first, so that their changes can be reviewed as a diff, and only
+ * written when applied. Only the addresses themselves are rewritten, leaving the rest of
+ * each file untouched.
+ * @module migrate
+ */
+
+/**
+ * Shortest base58 address. No shorter token is worth decoding.
+ * @private
+ */
+var MIN_ADDRESS_LENGTH = 25
+
+/**
+ * Formats whose addresses are rewritten.
+ * @private
+ */
+var MIGRATED_FORMATS = [bchaddr.Format.Legacy, bchaddr.Format.Bitpay]
+
+/**
+ * Formats addresses can be migrated into.
+ * @private
+ */
+var TARGET_FORMATS = [bchaddr.Format.Cashaddr, bchaddr.Format.Slpaddr]
+
+/**
+ * Directories which are never scanned.
+ * @private
+ */
+var SKIPPED_DIRECTORIES = ['node_modules']
+
+/**
+ * Tokens which look like addresses: base58 strings of address length containing digits,
+ * cashaddr payloads with a prefix, and cashaddr payloads without one.
+ * @private
+ */
+var ADDRESS_LIKE = [
+  /^(?=.*[0-9])(?=.*[A-Za-z])[1-9A-HJ-NP-Za-km-z]{25,35}$/,
+  /^[A-Za-z]+:[02-9AC-HJ-NP-Zac-hj-np-z]{34,}$/,
+  /^[QPZRqpzr][02-9AC-HJ-NP-Zac-hj-np-z]{41,}$/
+]
+
+/**
+ * Longest stretch of text searched backwards for the URL scheme of a token.
+ * @private
+ */
+var MAX_URL_LENGTH = 2048
+
+/**
+ * Migrates the addresses in the given text, returning the migrated text along with every
+ * rewritten address and every token which looks like an address but could not be classified.
+ * Base58 addresses behind a known cashaddr-based prefix, as in old payment URIs, are rewritten
+ * along with their prefix, while tokens within URLs, such as block explorer links, are left alone.
+ * Lines and columns start at 1.
+ * @static
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.format] - Format to migrate addresses into, cashaddr or slpaddr. Cashaddr by default.
+ * @param {string} [options.network] - Network to migrate addresses into. By default, each address keeps its network.
+ * @return {object} Object holding the migrated text, its changes and its unclassified addresses.
+ * @throws {TypeError}
+ */
+function migrateText (text, options) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Expected a string, received: ' + text + '.')
+  }
+  options = getMigrationOptions(options)
+  var changes = []
+  var unclassified = []
+  var migrated = ''
+  var end = 0
+  var candidate = /[A-Za-z0-9]+(?::[A-Za-z0-9]+)?/g
+  var match
+  while ((match = candidate.exec(text)) !== null) {
+    var token = match[0]
+    var start = match.index
+    var address = token
+    var separator = token.indexOf(':')
+    if (separator !== -1 && !bchaddr.isValidAddress(token)) {
+      var suffix = token.slice(separator + 1)
+      if (bchaddr.isValidAddress(suffix) || !isAddressLike(token)) {
+        address = suffix
+        if (!getPrefixFormat(token.slice(0, separator).toLowerCase()) || !isBase58Address(suffix)) {
+          token = suffix
+          start += separator + 1
+        }
+      }
+    }
+    if (address.length < MIN_ADDRESS_LENGTH || isWithinUrl(text, match.index)) {
+      continue
+    }
+    var replacement
+    try {
+      replacement = migrateAddress(address, options)
+    } catch (error) {
+      if (!(error instanceof bchaddr.InvalidAddressError) && !(error instanceof bchaddr.UnsupportedConversionError)) {
+        throw error
+      }
+      if (error instanceof bchaddr.UnsupportedConversionError || isAddressLike(token)) {
+        unclassified.push(getEntry(text, start, { address: token, message: error.message }))
+      }
+      continue
+    }
+    if (replacement !== address) {
+      changes.push(getEntry(text, start, { address: token, replacement: replacement }))
+      migrated += text.slice(end, start) + replacement
+      end = start + token.length
+    }
+  }
+  return { text: migrated + text.slice(end), changes: changes, unclassified: unclassified }
+}
+
+/**
+ * Plans the migration of every file under the given paths, which may be files or directories.
+ * Directories are scanned recursively, skipping hidden entries, node_modules and binary files.
+ * Nothing is written until the plan is given to [#applyMigration()]{@link applyMigration}.
+ * @static
+ * @param {Array<string>} paths
+ * @param {object} [options] - Migration options, as taken by [#migrateText()]{@link migrateText}.
+ * @return {Array<object>} Files with changes or unclassified addresses, each holding its path,
+ * its original and migrated text, its changes and its unclassified addresses.
+ * @throws {TypeError}
+ */
+function planMigration (paths, options) {
+  if (!Array.isArray(paths)) {
+    throw new TypeError('Expected an array of paths, received: ' + paths + '.')
+  }
+  options = getMigrationOptions(options)
+  var plan = []
+  listFiles(paths).forEach(function (file) {
+    var original = fs.readFileSync(file, 'utf8')
+    if (original.indexOf('\u0000') !== -1) {
+      return
+    }
+    var result = migrateText(original, options)
+    if (result.changes.length > 0 || result.unclassified.length > 0) {
+      plan.push({
+        path: file,
+        original: original,
+        text: result.text,
+        changes: result.changes,
+        unclassified: result.unclassified
+      })
+    }
+  })
+  return plan
+}
+
+/**
+ * Returns the changes in the given migration plan as a unified diff, for review before applying it.
+ * @static
+ * @param {Array<object>} plan - As returned by [#planMigration()]{@link planMigration}.
+ * @return {string}
+ */
+function formatMigrationDiff (plan) {
+  return plan.filter(function (file) {
+    return file.changes.length > 0
+  }).map(function (file) {
+    var before = file.original.split('\n')
+    var after = file.text.split('\n')
+    var lines = ['--- ' + file.path, '+++ ' + file.path]
+    before.forEach(function (line, index) {
+      if (line !== after[index]) {
+        lines.push('@@ -' + (index + 1) + ',1 +' + (index + 1) + ',1 @@', '-' + line, '+' + after[index])
+      }
+    })
+    return lines.join('\n') + '\n'
+  }).join('')
+}
+
+/**
+ * Writes the migrated text of every changed file in the given migration plan. Nothing is written
+ * if any of them has been modified since the plan was made.
+ * @static
+ * @param {Array<object>} plan - As returned by [#planMigration()]{@link planMigration}.
+ * @return {Array<string>} Paths of the written files.
+ * @throws {Error} If a file has been modified since the plan was made.
+ */
+function applyMigration (plan) {
+  var changed = plan.filter(function (file) {
+    return file.changes.length > 0
+  })
+  changed.forEach(function (file) {
+    if (fs.readFileSync(file.path, 'utf8') !== file.original) {
+      throw new Error('File modified since the migration was planned: ' + file.path + '.')
+    }
+  })
+  return changed.map(function (file) {
+    fs.writeFileSync(file.path, file.text)
+    return file.path
+  })
+}
+
+/**
+ * Checks the given migration options, filling in their defaults.
+ * @private
+ * @param {object} [options]
+ * @return {object}
+ * @throws {TypeError}
+ */
+function getMigrationOptions (options) {
+  options = options || {}
+  var format = options.format || bchaddr.Format.Cashaddr
+  if (TARGET_FORMATS.indexOf(format) === -1) {
+    throw new TypeError('Addresses can only be migrated into ' + TARGET_FORMATS.join(' or ') + ' format, received: ' + format + '.')
+  }
+  return { format: format, network: options.network }
+}
+
+/**
+ * Returns the given address migrated into the given format and network, or the address itself
+ * if its format is not migrated.
+ * @private
+ * @param {string} address
+ * @param {object} options
+ * @return {string}
+ * @throws {InvalidAddressError}
+ * @throws {UnsupportedConversionError}
+ */
+function migrateAddress (address, options) {
+  if (MIGRATED_FORMATS.indexOf(bchaddr.detectAddressFormat(address)) === -1) {
+    return address
+  }
+  return bchaddr.convertAddress(address, { format: options.format, network: options.network })
+}
+
+/**
+ * Returns whether the given string is a valid legacy or bitpay address.
+ * @private
+ * @param {string} address
+ * @return {boolean}
+ */
+function isBase58Address (address) {
+  return bchaddr.isValidAddress(address, { formats: MIGRATED_FORMATS })
+}
+
+/**
+ * Returns whether the token at the given offset within the given text belongs to a URL,
+ * that is whether the text running up to it, without spaces, quotes or brackets, holds a scheme.
+ * @private
+ * @param {string} text
+ * @param {number} offset
+ * @return {boolean}
+ */
+function isWithinUrl (text, offset) {
+  var before = text.slice(Math.max(0, offset - MAX_URL_LENGTH), offset)
+  return /[A-Za-z][A-Za-z0-9+.-]*:\/\/[^\s"'`<>()[\]{},]*$/.test(before)
+}
+
+/**
+ * Returns whether the given token, which is not a valid address, looks like one.
+ * @private
+ * @param {string} token
+ * @return {boolean}
+ */
+function isAddressLike (token) {
+  return ADDRESS_LIKE.some(function (pattern) {
+    return pattern.test(token)
+  })
+}
+
+/**
+ * Adds the line and column of the given offset within the given text to the given entry.
+ * @private
+ * @param {string} text
+ * @param {number} offset
+ * @param {object} entry
+ * @return {object}
+ */
+function getEntry (text, offset, entry) {
+  var lines = text.slice(0, offset).split('\n')
+  entry.line = lines.length
+  entry.column = lines[lines.length - 1].length + 1
+  return entry
+}
+
+/**
+ * Returns every file under the given paths, in order.
+ * @private
+ * @param {Array<string>} paths
+ * @return {Array<string>}
+ */
+function listFiles (paths) {
+  var files = []
+  paths.forEach(function (entry) {
+    if (!fs.statSync(entry).isDirectory()) {
+      files.push(entry)
+      return
+    }
+    var children = fs.readdirSync(entry).sort().filter(function (name) {
+      return name[0] !== '.' && SKIPPED_DIRECTORIES.indexOf(name) === -1
+    })
+    files = files.concat(listFiles(children.map(function (name) {
+      return path.join(entry, name)
+    })))
+  })
+  return files
+}
+
+module.exports = {
+  migrateText: migrateText,
+  planMigration: planMigration,
+  formatMigrationDiff: formatMigrationDiff,
+  applyMigration: applyMigration
+}
@@ -0,0 +1,28 @@
+import { Format, Network, Type } from "./constants";
+
+export const PREFIXED_FORMATS: Array<Format>;
+
+export interface networkConfig {
+    name: string;
+    cashaddrPrefix: string;
+    slpPrefix?: string;
+    ecashPrefix?: string;
+    etokenPrefix?: string;
+    base58Versions?: { legacy?: { p2pkh?: number; p2sh?: number }; bitpay?: { p2pkh?: number; p2sh?: number } };
+}
+
+export function registerNetwork(config: networkConfig): void;
+
+export function isKnownNetwork(network: string): boolean;
+
+export function getPrefix(format: Format, network: Network | string): string | undefined;
+
+export function getPrefixNetwork(format: Format, prefix: string): Network | string | undefined;
+
+export function getPrefixes(format: Format): Array<string>;
+
+export function getPrefixFormat(prefix: string): Format | undefined;
+
+export function getVersionByte(format: Format, network: Network | string, type: Type): number | undefined;
+
+export function getVersionByteInfo(versionByte: number): { format: Format; network: Network | string; type: Type } | null;
\ No newline at end of file
@@ -0,0 +1,29 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var networks = require('./internal/networks')
+
+/**
+ * Registry of the networks known to the library, holding the prefix of each network in every
+ * cashaddr-based format and its version bytes in every base58 format. Every codec looks networks
+ * up here, so that networks added through [#registerNetwork()]{@link registerNetwork} are
+ * decoded and encoded everywhere.
+ * @module networks
+ */
+
+module.exports = {
+  PREFIXED_FORMATS: networks.PREFIXED_FORMATS,
+  registerNetwork: networks.registerNetwork,
+  isKnownNetwork: networks.isKnownNetwork,
+  getPrefix: networks.getPrefix,
+  getPrefixNetwork: networks.getPrefixNetwork,
+  getPrefixes: networks.getPrefixes,
+  getPrefixFormat: networks.getPrefixFormat,
+  getVersionByte: networks.getVersionByte,
+  getVersionByteInfo: networks.getVersionByteInfo
+}
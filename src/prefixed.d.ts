@@ -0,0 +1,30 @@
+import { Format, Network } from "./constants";
+import { decoded, outputOptions } from "./bchaddr";
+
+export function decodePrefixedAddress(address: string): decoded;
+
+export function isValidPrefixedAddress(input: any): boolean;
+
+export function encodeAsCashaddr(decoded: decoded, options?: outputOptions): string;
+
+export function encodeAsSlpaddr(decoded: decoded, options?: outputOptions): string;
+
+export function encodeAsEcashaddr(decoded: decoded, options?: outputOptions): string;
+
+export function encodeAsEtokenaddr(decoded: decoded, options?: outputOptions): string;
+
+export function encodeAsMainnetaddr(decoded: decoded, options?: outputOptions): string;
+
+export function encodeAsTestnetaddr(decoded: decoded, options?: outputOptions): string;
+
+export function encodeAsRegtestaddr(decoded: decoded, options?: outputOptions): string;
+
+export function encodeAsSlpRegtestaddr(decoded: decoded, options?: outputOptions): string;
+
+export function encodeAsPrefixedFormat(decoded: decoded, format: Format, network: Network | string, options?: outputOptions): string;
+
+export function getPrefixedFormat(decoded: decoded): Format;
+
+export function decodePrefixedFormatAddress(address: string, format: Format): decoded;
+
+export function decodePrefixedFormatAddressWithPrefix(address: string, format: Format): decoded;
\ No newline at end of file
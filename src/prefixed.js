@@ -0,0 +1,35 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var prefixed = require('./internal/prefixed')
+
+/**
+ * Decoding and encoding of addresses in cashaddr-based formats: cashaddr, slpaddr, eCash and eToken.
+ * Needs neither base58 nor the conversion functions of [bchaddr]{@link module:bchaddr}, so that
+ * applications which only handle these formats can leave them out of their bundles.<br />
+ * Decoded addresses are plain objects holding their hash, format, network, type,
+ * sub-type, hash size and token support, as returned by [#decodeAddress()]{@link decodeAddress}.
+ * @module prefixed
+ */
+
+module.exports = {
+  decodePrefixedAddress: prefixed.decodePrefixedAddress,
+  isValidPrefixedAddress: prefixed.isValidPrefixedAddress,
+  encodeAsCashaddr: prefixed.encodeAsCashaddr,
+  encodeAsSlpaddr: prefixed.encodeAsSlpaddr,
+  encodeAsEcashaddr: prefixed.encodeAsEcashaddr,
+  encodeAsEtokenaddr: prefixed.encodeAsEtokenaddr,
+  encodeAsMainnetaddr: prefixed.encodeAsMainnetaddr,
+  encodeAsTestnetaddr: prefixed.encodeAsTestnetaddr,
+  encodeAsRegtestaddr: prefixed.encodeAsRegtestaddr,
+  encodeAsSlpRegtestaddr: prefixed.encodeAsSlpRegtestaddr,
+  encodeAsPrefixedFormat: prefixed.encodeAsPrefixedFormat,
+  getPrefixedFormat: prefixed.getPrefixedFormat,
+  decodePrefixedFormatAddress: prefixed.decodePrefixedFormatAddress,
+  decodePrefixedFormatAddressWithPrefix: prefixed.decodePrefixedFormatAddressWithPrefix
+}
@@ -0,0 +1,59 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var assert = require('chai').assert
+var base58 = require('../src/base58')
+var constants = require('../src/constants')
+var errors = require('../src/errors')
+var networks = require('../src/networks')
+
+describe('base58', function () {
+  var Format = constants.Format
+  var Network = constants.Network
+  var Type = constants.Type
+
+  var LEGACY = '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+  var BITPAY = 'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj'
+
+  describe('#decodeBase58Address()', function () {
+    it('should decode legacy and bitpay addresses', function () {
+      var decoded = base58.decodeBase58Address(LEGACY)
+      assert.strictEqual(decoded.format, Format.Legacy)
+      assert.strictEqual(decoded.network, Network.Mainnet)
+      assert.strictEqual(decoded.type, Type.P2PKH)
+      assert.strictEqual(base58.decodeBase58Address(BITPAY).format, Format.Bitpay)
+    })
+
+    it('should fail on invalid addresses', function () {
+      assert.throws(function () {
+        base58.decodeBase58Address('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzr')
+      }, errors.InvalidAddressError)
+      assert.isFalse(base58.isValidBase58Address('bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'))
+    })
+  })
+
+  describe('#encodeAsLegacy()', function () {
+    // The registry cannot be reset, so the network stays registered for the suites which follow.
+    before(function () {
+      networks.registerNetwork({ name: 'nobase58net', cashaddrPrefix: 'bchnob58' })
+    })
+
+    it('should translate between legacy and bitpay formats', function () {
+      assert.strictEqual(base58.encodeAsBitpay(base58.decodeBase58Address(LEGACY)), BITPAY)
+      assert.strictEqual(base58.encodeAsLegacy(base58.decodeBase58Address(BITPAY)), LEGACY)
+    })
+
+    it('should fail for networks without version bytes', function () {
+      var decoded = base58.decodeBase58Address(LEGACY)
+      decoded.network = 'nobase58net'
+      assert.throws(function () {
+        base58.encodeAsLegacy(decoded)
+      }, errors.UnsupportedConversionError)
+    })
+  })
+})
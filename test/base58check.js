@@ -0,0 +1,71 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var assert = require('chai').assert
+var childProcess = require('child_process')
+var path = require('path')
+var base58check = require('../src/base58check')
+
+describe('base58check', function () {
+  function fromHex (hex) {
+    return Uint8Array.from(hex.match(/../g) || [], function (byte) {
+      return parseInt(byte, 16)
+    })
+  }
+
+  var VECTORS = [
+    ['', '3QJmnh'],
+    ['000000', '11146EAsf'],
+    ['006f4b705e3e0407bf3159e9c4050df1b791d2c3f6', '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'],
+    ['00eb15231dfceb60925886b67d065299925915aeb1', '1NS17iag9jJgTHD1VXjvLCEnZuQ3rJED9L'],
+    ['1c6f4b705e3e0407bf3159e9c4050df1b791d2c3f6', 'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj'],
+    ['6f6f4b705e3e0407bf3159e9c4050df1b791d2c3f6', 'mqfRfwGeZnFwfFE7KWJjyg6Yx212iGi6Fi']
+  ]
+
+  describe('#encode()', function () {
+    it('should encode test vectors correctly', function () {
+      VECTORS.forEach(function (vector) {
+        assert.strictEqual(base58check.encode(fromHex(vector[0])), vector[1])
+      })
+    })
+  })
+
+  describe('#decode()', function () {
+    it('should decode test vectors correctly', function () {
+      VECTORS.forEach(function (vector) {
+        var payload = base58check.decode(vector[1])
+        assert.instanceOf(payload, Uint8Array)
+        assert.deepEqual(payload, fromHex(vector[0]))
+      })
+    })
+
+    it('should fail on invalid input', function () {
+      assert.throws(function () {
+        base58check.decode('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbD0R')
+      }, Error, 'Invalid base58 character: 0.')
+      assert.throws(function () {
+        base58check.decode('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzr')
+      }, Error, 'Invalid base58check checksum')
+      assert.throws(function () {
+        base58check.decode('1z')
+      }, Error, 'Invalid base58check string')
+    })
+  })
+
+  it('should not depend on Buffer', function () {
+    this.timeout(10000)
+    var script = [
+      'delete global.Buffer',
+      'var bchaddr = require(' + JSON.stringify(path.join(__dirname, '..', 'src', 'bchaddr')) + ')',
+      'process.stdout.write(bchaddr.toLegacyAddress(bchaddr.toBitpayAddress("1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR")))'
+    ].join('\n')
+    var result = childProcess.spawnSync(process.execPath, ['-e', script], { encoding: 'utf8' })
+    assert.strictEqual(result.stderr, '')
+    assert.strictEqual(result.stdout, '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR')
+  })
+})
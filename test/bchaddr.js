@@ -378,6 +378,48 @@ describe('bchaddr', function () {
     'slptest:pzzjgw37vwls805c9fw6g9vqyupadst6wgn7d2snmr'
   ]
 
+  var CASHADDR_NON_TOKEN_ADDRESSES = [
+    'bitcoincash:qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsl',
+    'bitcoincash:pr7fzmep8g7h7ymfxy74lgc0v950j3r295j62yp9tz',
+    'bchtest:qr7fzmep8g7h7ymfxy74lgc0v950j3r295pdnvy3hr',
+    'bchtest:pr7fzmep8g7h7ymfxy74lgc0v950j3r295kgwrrjv7'
+  ]
+
+  var CASHADDR_TOKEN_AWARE_ADDRESSES = [
+    'bitcoincash:zr7fzmep8g7h7ymfxy74lgc0v950j3r295z4y4gq0v',
+    'bitcoincash:rr7fzmep8g7h7ymfxy74lgc0v950j3r2954se60r53',
+    'bchtest:zr7fzmep8g7h7ymfxy74lgc0v950j3r295x8qj2hgs',
+    'bchtest:rr7fzmep8g7h7ymfxy74lgc0v950j3r2953zaad5nd'
+  ]
+
+  var SLPADDR_NON_TOKEN_ADDRESS = 'simpleledger:qr7fzmep8g7h7ymfxy74lgc0v950j3r295fyusnxwp'
+
+  var SLPADDR_TOKEN_AWARE_ADDRESS = 'simpleledger:zr7fzmep8g7h7ymfxy74lgc0v950j3r295ww0waq3j'
+
+  var P2SH32_ADDRESSES = [
+    'bitcoincash:pv82h5seg37kkvxv4u696a3udz9f8yds7axzde3fsgk9t6crw2835t6y03juw',
+    'bchtest:pv82h5seg37kkvxv4u696a3udz9f8yds7axzde3fsgk9t6crw2835ga43fpfu',
+    'simpleledger:pv82h5seg37kkvxv4u696a3udz9f8yds7axzde3fsgk9t6crw28356au67c63',
+    'bitcoincash:rv82h5seg37kkvxv4u696a3udz9f8yds7axzde3fsgk9t6crw2835efcwgn99'
+  ]
+
+  var P2SH32_HASH = '0eabd219447d6b30ccaf345d763c688a9391b0f74c26e629822c55eb03728f1a'
+
+  var CASHADDR_REGTEST_ADDRESSES = [
+    'bchreg:qr7fzmep8g7h7ymfxy74lgc0v950j3r295m39d8z59',
+    'bchreg:pr7fzmep8g7h7ymfxy74lgc0v950j3r295v5czqp0c'
+  ]
+
+  var SLPADDR_REGTEST_ADDRESSES = [
+    'slpreg:qr7fzmep8g7h7ymfxy74lgc0v950j3r295x3luvwdv',
+    'slpreg:pr7fzmep8g7h7ymfxy74lgc0v950j3r29535zntdk3'
+  ]
+
+  var LEGACY_REGTEST_ADDRESSES = [
+    'n4YQoLK25P4RsJ2wJEpKnT6q2WGxt149rs',
+    '2NGGgVZeWRiSuP8tJNu8R17EhXPB9F21wQK'
+  ]
+
   var LEGACY_ADDRESSES = flatten([
     LEGACY_MAINNET_P2PKH_ADDRESSES,
     LEGACY_MAINNET_P2SH_ADDRESSES,
@@ -460,6 +502,79 @@ describe('bchaddr', function () {
     return [].concat.apply([], arrays)
   }
 
+  describe('#decodeAddress()', function () {
+    function decodeError (address) {
+      try {
+        bchaddr.decodeAddress(address)
+      } catch (error) {
+        return error
+      }
+      assert.fail('Expected ' + address + ' to be invalid.')
+    }
+    it('should report invalid input', function () {
+      [undefined, null, 42, ''].forEach(function (input) {
+        var error = decodeError(input)
+        assert.instanceOf(error, bchaddr.InvalidAddressError)
+        assert.strictEqual(error.code, bchaddr.ErrorCode.InvalidInput)
+        assert.isNull(error.format)
+      })
+    })
+    it('should report invalid base58 characters', function () {
+      var error = decodeError('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDz0')
+      assert.strictEqual(error.code, bchaddr.ErrorCode.InvalidCharacter)
+      assert.strictEqual(error.format, bchaddr.Format.Legacy)
+    })
+    it('should report invalid base58 checksums', function () {
+      var error = decodeError('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzr')
+      assert.strictEqual(error.code, bchaddr.ErrorCode.InvalidChecksum)
+      assert.strictEqual(error.format, bchaddr.Format.Legacy)
+    })
+    it('should report unknown base58 version bytes', function () {
+      var error = decodeError('LKs7QqC2TVJ4y92waNrBjVZQB2oFhcmZqB')
+      assert.strictEqual(error.code, bchaddr.ErrorCode.UnknownVersionByte)
+      assert.strictEqual(error.format, bchaddr.Format.Legacy)
+    })
+    it('should report invalid base58 payload lengths', function () {
+      var error = decodeError('3QJmnh')
+      assert.strictEqual(error.code, bchaddr.ErrorCode.InvalidPayloadLength)
+      assert.strictEqual(error.format, bchaddr.Format.Legacy)
+    })
+    it('should report invalid cashaddr checksums', function () {
+      var error = decodeError('bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwq')
+      assert.strictEqual(error.code, bchaddr.ErrorCode.InvalidChecksum)
+      assert.strictEqual(error.format, bchaddr.Format.Cashaddr)
+      error = decodeError('qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwq')
+      assert.strictEqual(error.code, bchaddr.ErrorCode.InvalidChecksum)
+      assert.strictEqual(error.format, bchaddr.Format.Cashaddr)
+    })
+    it('should report invalid slpaddr checksums', function () {
+      var error = decodeError('simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsq')
+      assert.strictEqual(error.code, bchaddr.ErrorCode.InvalidChecksum)
+      assert.strictEqual(error.format, bchaddr.Format.Slpaddr)
+    })
+    it('should report unknown prefixes', function () {
+      var error = decodeError('bitcoin:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk')
+      assert.strictEqual(error.code, bchaddr.ErrorCode.UnknownPrefix)
+      assert.strictEqual(error.format, bchaddr.Format.Cashaddr)
+    })
+    it('should report mixed case', function () {
+      var error = decodeError('bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kR7c5f6jdpwk')
+      assert.strictEqual(error.code, bchaddr.ErrorCode.MixedCase)
+      assert.strictEqual(error.format, bchaddr.Format.Cashaddr)
+    })
+    it('should report invalid hash lengths', function () {
+      var error = decodeError('bitcoincash:qv82h5seg37kkvxv4u696a3udz9f8yds7axzde3fsgk9t6crw2835z82mfxyl')
+      assert.strictEqual(error.code, bchaddr.ErrorCode.InvalidPayloadLength)
+      assert.strictEqual(error.format, bchaddr.Format.Cashaddr)
+    })
+    it('should report the failure of each decoder', function () {
+      var error = decodeError('simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsq')
+      assert.strictEqual(error.errors.base58.code, bchaddr.ErrorCode.InvalidCharacter)
+      assert.strictEqual(error.errors.cashaddr.code, bchaddr.ErrorCode.UnknownPrefix)
+      assert.strictEqual(error.errors.slpaddr.code, bchaddr.ErrorCode.InvalidChecksum)
+    })
+  })
+
   describe('#detectAddressFormat()', function () {
     it('should fail when called with an invalid address', function () {
       assert.throws(function () {
@@ -583,22 +698,29 @@ describe('bchaddr', function () {
     })
     it('should translate legacy address format to bitpay format correctly', function () {
       assert.deepEqual(
-        LEGACY_ADDRESSES.map(bchaddr.toBitpayAddress),
-        BITPAY_ADDRESSES
+        flatten([LEGACY_MAINNET_P2PKH_ADDRESSES, LEGACY_MAINNET_P2SH_ADDRESSES]).map(bchaddr.toBitpayAddress),
+        BITPAY_MAINNET_ADDRESSES
       )
     })
     it('should translate bitpay address format to itself correctly', function () {
       assert.deepEqual(
-        BITPAY_ADDRESSES.map(bchaddr.toBitpayAddress),
-        BITPAY_ADDRESSES
+        BITPAY_MAINNET_ADDRESSES.map(bchaddr.toBitpayAddress),
+        BITPAY_MAINNET_ADDRESSES
       )
     })
     it('should translate cashaddr address format to bitpay format correctly', function () {
       assert.deepEqual(
-        CASHADDR_ADDRESSES.map(bchaddr.toBitpayAddress),
-        BITPAY_ADDRESSES
+        flatten([CASHADDR_MAINNET_P2PKH_ADDRESSES, CASHADDR_MAINNET_P2SH_ADDRESSES]).map(bchaddr.toBitpayAddress),
+        BITPAY_MAINNET_ADDRESSES
       )
     })
+    it('should fail for addresses outside mainnet', function () {
+      flatten([LEGACY_TESTNET_P2PKH_ADDRESSES, LEGACY_TESTNET_P2SH_ADDRESSES, CASHADDR_TESTNET_P2PKH_ADDRESSES, CASHADDR_TESTNET_P2SH_ADDRESSES, ['bchreg:qph5kuz78czq00e3t85ugpgd7xmer5kr7c28g5v92v']]).forEach(function (address) {
+        assert.throws(function () {
+          bchaddr.toBitpayAddress(address)
+        }, bchaddr.UnsupportedConversionError)
+      })
+    })
   })
 
   describe('#toCashAddress()', function () {
@@ -861,6 +983,75 @@ describe('bchaddr', function () {
     })
   })
 
+  describe('#isRegtestAddress()', function () {
+    it('should fail when called with an invalid address', function () {
+      assert.throws(function () {
+        bchaddr.isRegtestAddress()
+      }, bchaddr.InvalidAddressError)
+      assert.throws(function () {
+        bchaddr.isRegtestAddress('some invalid address')
+      }, bchaddr.InvalidAddressError)
+    })
+    it('should return true for a regtest address', function () {
+      CASHADDR_REGTEST_ADDRESSES.concat(SLPADDR_REGTEST_ADDRESSES).forEach(function (address) {
+        assert.isTrue(bchaddr.isRegtestAddress(address))
+        assert.isFalse(bchaddr.isTestnetAddress(address))
+        assert.isFalse(bchaddr.isMainnetAddress(address))
+      })
+    })
+    it('should return false for mainnet and testnet addresses', function () {
+      MAINNET_ADDRESSES.concat(TESTNET_ADDRESSES).forEach(function (address) {
+        assert.isFalse(bchaddr.isRegtestAddress(address))
+      })
+    })
+  })
+
+  describe('regtest addresses', function () {
+    it('should be decoded as regtest addresses', function () {
+      CASHADDR_REGTEST_ADDRESSES.concat(SLPADDR_REGTEST_ADDRESSES).forEach(function (address) {
+        assert.strictEqual(bchaddr.detectAddressNetwork(address), bchaddr.Network.Regtest)
+      })
+    })
+    it('should keep their prefix across round trips', function () {
+      assert.deepEqual(
+        CASHADDR_REGTEST_ADDRESSES.map(bchaddr.toCashAddress),
+        CASHADDR_REGTEST_ADDRESSES
+      )
+      assert.deepEqual(
+        SLPADDR_REGTEST_ADDRESSES.map(bchaddr.toCashAddress),
+        CASHADDR_REGTEST_ADDRESSES
+      )
+      assert.deepEqual(
+        CASHADDR_REGTEST_ADDRESSES.map(bchaddr.toSlpAddress),
+        SLPADDR_REGTEST_ADDRESSES
+      )
+    })
+    it('should translate into base58 formats with testnet version bytes', function () {
+      assert.deepEqual(
+        CASHADDR_REGTEST_ADDRESSES.map(bchaddr.toLegacyAddress),
+        LEGACY_REGTEST_ADDRESSES
+      )
+      assert.deepEqual(
+        LEGACY_REGTEST_ADDRESSES.map(bchaddr.toRegtestAddress),
+        CASHADDR_REGTEST_ADDRESSES
+      )
+    })
+    it('should translate between networks correctly', function () {
+      assert.deepEqual(
+        CASHADDR_REGTEST_ADDRESSES.map(bchaddr.toMainnetAddress).map(bchaddr.toRegtestAddress),
+        CASHADDR_REGTEST_ADDRESSES
+      )
+      assert.deepEqual(
+        CASHADDR_REGTEST_ADDRESSES.map(bchaddr.toTestnetAddress).map(bchaddr.toRegtestAddress),
+        CASHADDR_REGTEST_ADDRESSES
+      )
+      assert.deepEqual(
+        SLPADDR_REGTEST_ADDRESSES.map(bchaddr.toTestnetAddress).map(bchaddr.toRegtestAddress),
+        SLPADDR_REGTEST_ADDRESSES
+      )
+    })
+  })
+
   describe('#isP2PKHAddress()', function () {
     it('should fail when called with an invalid address', function () {
       assert.throws(function () {
@@ -909,6 +1100,1423 @@ describe('bchaddr', function () {
     })
   })
 
+  describe('#toTokenAwareAddress()', function () {
+    it('should fail when called with an invalid address', function () {
+      assert.throws(function () {
+        bchaddr.toTokenAwareAddress()
+      }, bchaddr.InvalidAddressError)
+      assert.throws(function () {
+        bchaddr.toTokenAwareAddress('some invalid address')
+      }, bchaddr.InvalidAddressError)
+    })
+    it('should translate cashaddr addresses into token-aware addresses correctly', function () {
+      assert.deepEqual(
+        CASHADDR_NON_TOKEN_ADDRESSES.map(bchaddr.toTokenAwareAddress),
+        CASHADDR_TOKEN_AWARE_ADDRESSES
+      )
+    })
+    it('should translate token-aware addresses to themselves correctly', function () {
+      assert.deepEqual(
+        CASHADDR_TOKEN_AWARE_ADDRESSES.map(bchaddr.toTokenAwareAddress),
+        CASHADDR_TOKEN_AWARE_ADDRESSES
+      )
+    })
+    it('should translate legacy addresses into token-aware cashaddr addresses correctly', function () {
+      assert.deepEqual(
+        CASHADDR_NON_TOKEN_ADDRESSES.map(bchaddr.toLegacyAddress).map(bchaddr.toTokenAwareAddress),
+        CASHADDR_TOKEN_AWARE_ADDRESSES
+      )
+    })
+    it('should keep the slpaddr format', function () {
+      assert.strictEqual(
+        bchaddr.toTokenAwareAddress(SLPADDR_NON_TOKEN_ADDRESS),
+        SLPADDR_TOKEN_AWARE_ADDRESS
+      )
+    })
+  })
+
+  describe('#toNonTokenAddress()', function () {
+    it('should fail when called with an invalid address', function () {
+      assert.throws(function () {
+        bchaddr.toNonTokenAddress()
+      }, bchaddr.InvalidAddressError)
+      assert.throws(function () {
+        bchaddr.toNonTokenAddress('some invalid address')
+      }, bchaddr.InvalidAddressError)
+    })
+    it('should translate token-aware addresses into cashaddr addresses correctly', function () {
+      assert.deepEqual(
+        CASHADDR_TOKEN_AWARE_ADDRESSES.map(bchaddr.toNonTokenAddress),
+        CASHADDR_NON_TOKEN_ADDRESSES
+      )
+    })
+    it('should keep the slpaddr format', function () {
+      assert.strictEqual(
+        bchaddr.toNonTokenAddress(SLPADDR_TOKEN_AWARE_ADDRESS),
+        SLPADDR_NON_TOKEN_ADDRESS
+      )
+    })
+  })
+
+  describe('#isTokenAwareAddress()', function () {
+    it('should fail when called with an invalid address', function () {
+      assert.throws(function () {
+        bchaddr.isTokenAwareAddress()
+      }, bchaddr.InvalidAddressError)
+      assert.throws(function () {
+        bchaddr.isTokenAwareAddress('some invalid address')
+      }, bchaddr.InvalidAddressError)
+    })
+    it('should return true for a token-aware address', function () {
+      CASHADDR_TOKEN_AWARE_ADDRESSES.concat(SLPADDR_TOKEN_AWARE_ADDRESS).forEach(function (address) {
+        assert.isTrue(bchaddr.isTokenAwareAddress(address))
+      })
+    })
+    it('should return false for any other address', function () {
+      flatten([LEGACY_ADDRESSES, BITPAY_ADDRESSES, CASHADDR_ADDRESSES, SLPADDR_ADDRESSES]).forEach(function (address) {
+        assert.isFalse(bchaddr.isTokenAwareAddress(address))
+      })
+    })
+  })
+
+  describe('token-aware addresses', function () {
+    it('should be decoded with the same hash, network and type as their non-token counterparts', function () {
+      CASHADDR_TOKEN_AWARE_ADDRESSES.forEach(function (address, i) {
+        var decoded = bchaddr.decodeAddress(address)
+        var expected = bchaddr.decodeAddress(CASHADDR_NON_TOKEN_ADDRESSES[i])
+        assert.deepEqual(decoded.hash, expected.hash)
+        assert.strictEqual(decoded.format, bchaddr.Format.Cashaddr)
+        assert.strictEqual(decoded.network, expected.network)
+        assert.strictEqual(decoded.type, expected.type)
+        assert.isTrue(decoded.tokenSupport)
+      })
+    })
+    it('should keep token support across cashaddr round trips', function () {
+      assert.deepEqual(
+        CASHADDR_TOKEN_AWARE_ADDRESSES.map(bchaddr.toCashAddress),
+        CASHADDR_TOKEN_AWARE_ADDRESSES
+      )
+      assert.strictEqual(
+        bchaddr.toCashAddress(bchaddr.toSlpAddress(SLPADDR_TOKEN_AWARE_ADDRESS)),
+        CASHADDR_TOKEN_AWARE_ADDRESSES[0]
+      )
+    })
+    it('should fail to translate into base58 formats', function () {
+      CASHADDR_TOKEN_AWARE_ADDRESSES.forEach(function (address) {
+        assert.throws(function () {
+          bchaddr.toLegacyAddress(address)
+        }, bchaddr.UnsupportedConversionError)
+        assert.throws(function () {
+          bchaddr.toBitpayAddress(address)
+        }, bchaddr.UnsupportedConversionError)
+      })
+    })
+  })
+
+  describe('#isP2SH32Address()', function () {
+    it('should fail when called with an invalid address', function () {
+      assert.throws(function () {
+        bchaddr.isP2SH32Address()
+      }, bchaddr.InvalidAddressError)
+      assert.throws(function () {
+        bchaddr.isP2SH32Address('some invalid address')
+      }, bchaddr.InvalidAddressError)
+    })
+    it('should return true for a P2SH32 address', function () {
+      P2SH32_ADDRESSES.forEach(function (address) {
+        assert.isTrue(bchaddr.isP2SH32Address(address))
+      })
+    })
+    it('should return false for any other address', function () {
+      flatten([P2PKH_ADDRESSES, P2SH_ADDRESSES, SLPADDR_ADDRESSES]).forEach(function (address) {
+        assert.isFalse(bchaddr.isP2SH32Address(address))
+      })
+    })
+  })
+
+  describe('P2SH32 addresses', function () {
+    it('should be decoded with their hash length and sub-type', function () {
+      P2SH32_ADDRESSES.forEach(function (address) {
+        var decoded = bchaddr.decodeAddress(address)
+        assert.strictEqual(Buffer.from(decoded.hash).toString('hex'), P2SH32_HASH)
+        assert.strictEqual(decoded.type, bchaddr.Type.P2SH)
+        assert.strictEqual(decoded.subtype, bchaddr.Subtype.P2SH32)
+        assert.strictEqual(decoded.hashSize, 32)
+        assert.isTrue(bchaddr.isP2SHAddress(address))
+      })
+    })
+    it('should report the sub-type of 20-byte addresses', function () {
+      P2PKH_ADDRESSES.forEach(function (address) {
+        var decoded = bchaddr.decodeAddress(address)
+        assert.strictEqual(decoded.subtype, bchaddr.Subtype.P2PKH)
+        assert.strictEqual(decoded.hashSize, 20)
+      })
+      P2SH_ADDRESSES.forEach(function (address) {
+        var decoded = bchaddr.decodeAddress(address)
+        assert.strictEqual(decoded.subtype, bchaddr.Subtype.P2SH20)
+        assert.strictEqual(decoded.hashSize, 20)
+      })
+    })
+    it('should translate between cashaddr-based formats correctly', function () {
+      assert.strictEqual(bchaddr.toCashAddress(P2SH32_ADDRESSES[2]), P2SH32_ADDRESSES[0])
+      assert.strictEqual(bchaddr.toSlpAddress(P2SH32_ADDRESSES[0]), P2SH32_ADDRESSES[2])
+      assert.strictEqual(bchaddr.toTestnetAddress(P2SH32_ADDRESSES[0]), P2SH32_ADDRESSES[1])
+      assert.strictEqual(bchaddr.toTokenAwareAddress(P2SH32_ADDRESSES[0]), P2SH32_ADDRESSES[3])
+      assert.strictEqual(
+        bchaddr.encodeAsCashaddr(bchaddr.decodeAddress(P2SH32_ADDRESSES[1])),
+        P2SH32_ADDRESSES[1]
+      )
+    })
+    it('should fail to translate into base58 formats', function () {
+      P2SH32_ADDRESSES.forEach(function (address) {
+        assert.throws(function () {
+          bchaddr.toLegacyAddress(address)
+        }, bchaddr.UnsupportedConversionError)
+        assert.throws(function () {
+          bchaddr.toBitpayAddress(address)
+        }, bchaddr.UnsupportedConversionError)
+      })
+    })
+    it('should reject hash lengths that are not valid for the address type', function () {
+      [
+        'bitcoincash:qv82h5seg37kkvxv4u696a3udz9f8yds7axzde3fsgk9t6crw2835z82mfxyl',
+        'bitcoincash:py82h5seg37kkvxv4u696a3udz9f8yds7axzde3ft228pd33'
+      ].forEach(function (address) {
+        assert.isFalse(bchaddr.isValidAddress(address))
+      })
+    })
+  })
+
+  describe('#suggestCorrections()', function () {
+    var ADDRESS = 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+    var SLP_ADDRESS = 'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg'
+    function substitute (address, position, character) {
+      return address.slice(0, position) + character + address.slice(position + 1)
+    }
+    it('should locate a single substitution', function () {
+      var suggestions = bchaddr.suggestCorrections(substitute(ADDRESS, 20, 'q'))
+      assert.deepEqual(suggestions, [{
+        address: ADDRESS,
+        positions: [20],
+        format: bchaddr.Format.Cashaddr,
+        network: bchaddr.Network.Mainnet
+      }])
+    })
+    it('should locate two substitutions, including invalid characters', function () {
+      var mistyped = substitute(substitute(ADDRESS, 15, 'x'), 42, 'i')
+      var suggestions = bchaddr.suggestCorrections(mistyped)
+      assert.include(suggestions.map(function (suggestion) {
+        return suggestion.address
+      }), ADDRESS)
+      suggestions.forEach(function (suggestion) {
+        assert.isTrue(bchaddr.isValidAddress(suggestion.address))
+        assert.isAtMost(suggestion.positions.length, 2)
+      })
+    })
+    it('should work for slpaddr addresses', function () {
+      var suggestions = bchaddr.suggestCorrections(substitute(SLP_ADDRESS, 18, 'q'))
+      assert.deepEqual(suggestions, [{
+        address: SLP_ADDRESS,
+        positions: [18],
+        format: bchaddr.Format.Slpaddr,
+        network: bchaddr.Network.Mainnet
+      }])
+    })
+    it('should work for addresses without prefix', function () {
+      var suggestions = bchaddr.suggestCorrections(substitute(ADDRESS, 20, 'q').split(':')[1])
+      assert.deepEqual(suggestions, [{
+        address: ADDRESS.split(':')[1],
+        positions: [8],
+        format: bchaddr.Format.Cashaddr,
+        network: bchaddr.Network.Mainnet
+      }])
+    })
+    it('should preserve uppercase input', function () {
+      var suggestions = bchaddr.suggestCorrections(substitute(ADDRESS, 20, 'q').toUpperCase())
+      assert.strictEqual(suggestions.length, 1)
+      assert.strictEqual(suggestions[0].address, ADDRESS.toUpperCase())
+    })
+    it('should return no suggestions for valid or unfixable addresses', function () {
+      assert.deepEqual(bchaddr.suggestCorrections(ADDRESS), [])
+      assert.deepEqual(bchaddr.suggestCorrections('bitcoincash:qqqqqqqq'), [])
+      assert.deepEqual(bchaddr.suggestCorrections('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'), [])
+    })
+    it('should fail when given invalid input', function () {
+      assert.throws(function () {
+        bchaddr.suggestCorrections()
+      }, bchaddr.InvalidAddressError)
+      assert.throws(function () {
+        bchaddr.suggestCorrections('')
+      }, bchaddr.InvalidAddressError)
+    })
+  })
+
+  describe('#diagnoseBase58Address()', function () {
+    var LEGACY = '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+    var BITPAY = 'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj'
+    function substitute (address, position, character) {
+      return address.slice(0, position) + character + address.slice(position + 1)
+    }
+    it('should find single substitutions', function () {
+      var diagnosis = bchaddr.diagnoseBase58Address(substitute(LEGACY, 10, 'x'))
+      assert.deepEqual(diagnosis.invalidCharacters, [])
+      assert.deepEqual(diagnosis.candidates, [{
+        address: LEGACY,
+        positions: [10],
+        format: bchaddr.Format.Legacy,
+        network: bchaddr.Network.Mainnet,
+        type: bchaddr.Type.P2PKH
+      }])
+    })
+    it('should find adjacent transpositions', function () {
+      var diagnosis = bchaddr.diagnoseBase58Address(LEGACY.slice(0, 5) + LEGACY[6] + LEGACY[5] + LEGACY.slice(7))
+      assert.deepEqual(diagnosis.candidates.map(function (candidate) {
+        return candidate.positions
+      }), [[5, 6]])
+      assert.strictEqual(diagnosis.candidates[0].address, LEGACY)
+    })
+    it('should flag characters outside the base58 alphabet', function () {
+      var diagnosis = bchaddr.diagnoseBase58Address(substitute(BITPAY, 4, 'I'))
+      assert.deepEqual(diagnosis.invalidCharacters, [{ position: 4, character: 'I' }])
+      assert.deepEqual(diagnosis.candidates, [{
+        address: BITPAY,
+        positions: [4],
+        format: bchaddr.Format.Bitpay,
+        network: bchaddr.Network.Mainnet,
+        type: bchaddr.Type.P2PKH
+      }])
+      diagnosis = bchaddr.diagnoseBase58Address(substitute(substitute(LEGACY, 3, '0'), 5, 'l'))
+      assert.deepEqual(diagnosis.invalidCharacters, [
+        { position: 3, character: '0' },
+        { position: 5, character: 'l' }
+      ])
+      assert.deepEqual(diagnosis.candidates, [])
+    })
+    it('should report nothing for valid addresses', function () {
+      assert.deepEqual(bchaddr.diagnoseBase58Address(LEGACY), { invalidCharacters: [], candidates: [] })
+    })
+    it('should fail when given invalid input', function () {
+      assert.throws(function () {
+        bchaddr.diagnoseBase58Address()
+      }, bchaddr.InvalidAddressError)
+    })
+  })
+
+  describe('#registerNetwork()', function () {
+    // The registry cannot be reset, so the network stays registered for the suites which follow.
+    before(function () {
+      bchaddr.registerNetwork({
+        name: 'privnet',
+        cashaddrPrefix: 'bchpriv',
+        slpPrefix: 'slppriv',
+        base58Versions: { legacy: { p2pkh: 50, p2sh: 55 } }
+      })
+      bchaddr.registerNetwork({ name: 'toString', cashaddrPrefix: 'bchtostr' })
+    })
+    var CASHADDR = 'bchpriv:qph5kuz78czq00e3t85ugpgd7xmer5kr7cpem9ywxd'
+    var SLPADDR = 'slppriv:qph5kuz78czq00e3t85ugpgd7xmer5kr7c6du77e5s'
+    var LEGACY = 'MJ3dcK65FmzVmoippuzJQ2VZZFHVPUhGAR'
+    it('should decode and detect addresses of registered networks', function () {
+      [CASHADDR, CASHADDR.split(':')[1], SLPADDR, LEGACY].forEach(function (address) {
+        assert.strictEqual(bchaddr.detectAddressNetwork(address), 'privnet')
+        assert.isFalse(bchaddr.isMainnetAddress(address))
+        assert.isFalse(bchaddr.isTestnetAddress(address))
+      })
+      assert.strictEqual(bchaddr.detectAddressFormat(SLPADDR), bchaddr.Format.Slpaddr)
+      assert.strictEqual(bchaddr.detectAddressFormat(LEGACY), bchaddr.Format.Legacy)
+    })
+    it('should translate addresses within registered networks', function () {
+      assert.strictEqual(bchaddr.toCashAddress(LEGACY), CASHADDR)
+      assert.strictEqual(bchaddr.toSlpAddress(CASHADDR), SLPADDR)
+      assert.strictEqual(bchaddr.toLegacyAddress(SLPADDR), LEGACY)
+      assert.strictEqual(bchaddr.toMainnetAddress(CASHADDR), 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk')
+    })
+    it('should fail to translate into formats the network does not support', function () {
+      assert.throws(function () {
+        bchaddr.toBitpayAddress(CASHADDR)
+      }, bchaddr.UnsupportedConversionError)
+    })
+    it('should keep decoding existing networks as before', function () {
+      assert.strictEqual(bchaddr.detectAddressNetwork('bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2'), bchaddr.Network.Testnet)
+      assert.strictEqual(bchaddr.detectAddressNetwork('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'), bchaddr.Network.Mainnet)
+      assert.strictEqual(bchaddr.detectAddressFormat('CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj'), bchaddr.Format.Bitpay)
+    })
+    it('should only know networks by their own names', function () {
+      assert.strictEqual(bchaddr.detectAddressNetwork('bchtostr:qph5kuz78czq00e3t85ugpgd7xmer5kr7ce6e8whya'), 'toString')
+      assert.throws(function () {
+        bchaddr.encodeAddress({ hash: '6f4b705e3e0407bf3159e9c4050df1b791d2c3f6', type: bchaddr.Type.P2PKH, network: 'constructor' })
+      }, TypeError)
+      assert.throws(function () {
+        bchaddr.fromOutputScript(bchaddr.toOutputScript(LEGACY), { network: 'constructor' })
+      }, bchaddr.UnsupportedConversionError)
+    })
+    it('should reject invalid or conflicting networks', function () {
+      [
+        undefined,
+        { cashaddrPrefix: 'bchother' },
+        { name: 'privnet', cashaddrPrefix: 'bchother' },
+        { name: 'chipnet', cashaddrPrefix: 'bchtest' },
+        { name: 'othernet', cashaddrPrefix: 'slppriv' },
+        { name: 'othernet', cashaddrPrefix: 'bch:other' },
+        { name: 'othernet', cashaddrPrefix: 'bchother', slpPrefix: 'bchother' },
+        { name: 'othernet', cashaddrPrefix: 'bchother', ecashPrefix: 'ecash' },
+        { name: 'othernet', cashaddrPrefix: 'bchother', base58Versions: { cashaddr: { p2pkh: 0 } } },
+        { name: 'othernet', cashaddrPrefix: 'bchother', base58Versions: { legacy: { p2pkh: 256 } } },
+        { name: 'othernet', cashaddrPrefix: 'bchother', base58Versions: { legacy: { p2pkh: 28 } } },
+        { name: 'othernet', cashaddrPrefix: 'bchother', base58Versions: { legacy: { p2pkh: 50 } } },
+        { name: 'othernet', cashaddrPrefix: 'bchother', base58Versions: { legacy: { p2pkh: 60 }, bitpay: { p2sh: 60 } } }
+      ].forEach(function (config) {
+        assert.throws(function () {
+          bchaddr.registerNetwork(config)
+        }, TypeError)
+      })
+      assert.isFalse(bchaddr.isValidAddress('bchother:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'))
+    })
+  })
+
+  describe('eCash and eToken addresses', function () {
+    var CASHADDR = [
+      'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk',
+      'bitcoincash:ppm2qsznhks23z7629mms6s4cwef74vcwvn0h829pq',
+      'bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2'
+    ]
+    var LEGACY = [
+      '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR',
+      '3CWFddi6m4ndiGyKqzYvsFYagqDLPVMTzC',
+      'mqfRfwGeZnFwfFE7KWJjyg6Yx212iGi6Fi'
+    ]
+    var ECASH = [
+      'ecash:qph5kuz78czq00e3t85ugpgd7xmer5kr7cdywekmgp',
+      'ecash:ppm2qsznhks23z7629mms6s4cwef74vcwv2zrv3l8h',
+      'ectest:qph5kuz78czq00e3t85ugpgd7xmer5kr7ct0se3kts'
+    ]
+    var ETOKEN = [
+      'etoken:qph5kuz78czq00e3t85ugpgd7xmer5kr7cr68mquvk',
+      'etoken:ppm2qsznhks23z7629mms6s4cwef74vcwvyu2w8crq'
+    ]
+    it('should translate any address format to ecash format correctly', function () {
+      assert.deepEqual(CASHADDR.map(bchaddr.toEcashAddress), ECASH)
+      assert.deepEqual(LEGACY.map(bchaddr.toEcashAddress), ECASH)
+      assert.deepEqual(ETOKEN.map(bchaddr.toEcashAddress), ECASH.slice(0, 2))
+      assert.deepEqual(ECASH.map(function (address) {
+        return bchaddr.toEcashAddress(address.split(':')[1])
+      }), ECASH)
+    })
+    it('should translate mainnet addresses to etoken format correctly', function () {
+      assert.deepEqual(CASHADDR.slice(0, 2).map(bchaddr.toEtokenAddress), ETOKEN)
+      assert.deepEqual(ECASH.slice(0, 2).map(bchaddr.toEtokenAddress), ETOKEN)
+    })
+    it('should fail to translate testnet addresses to etoken format', function () {
+      assert.throws(function () {
+        bchaddr.toEtokenAddress(ECASH[2])
+      }, bchaddr.UnsupportedConversionError)
+      assert.throws(function () {
+        bchaddr.toTestnetAddress(ETOKEN[0])
+      }, bchaddr.UnsupportedConversionError)
+    })
+    it('should translate ecash and etoken addresses to other formats correctly', function () {
+      assert.deepEqual(ECASH.map(bchaddr.toCashAddress), CASHADDR)
+      assert.deepEqual(ECASH.map(bchaddr.toLegacyAddress), LEGACY)
+      assert.deepEqual(ETOKEN.map(bchaddr.toCashAddress), CASHADDR.slice(0, 2))
+    })
+    it('should keep the ecash format when translating networks', function () {
+      assert.strictEqual(bchaddr.toTestnetAddress(ECASH[0]), ECASH[2])
+      assert.strictEqual(bchaddr.toMainnetAddress(ECASH[2]), ECASH[0])
+      assert.strictEqual(bchaddr.toRegtestAddress(ECASH[0]), 'ecregtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7c9ejsxmhv')
+      assert.strictEqual(bchaddr.toTokenAwareAddress(ECASH[0]), 'ecash:zph5kuz78czq00e3t85ugpgd7xmer5kr7c2wa8cahj')
+    })
+    it('should detect ecash and etoken addresses', function () {
+      ECASH.forEach(function (address) {
+        assert.strictEqual(bchaddr.detectAddressFormat(address), bchaddr.Format.Ecash)
+        assert.isTrue(bchaddr.isEcashAddress(address))
+        assert.isFalse(bchaddr.isEtokenAddress(address))
+        assert.isFalse(bchaddr.isCashAddress(address))
+      })
+      ETOKEN.forEach(function (address) {
+        assert.strictEqual(bchaddr.detectAddressFormat(address.split(':')[1]), bchaddr.Format.Etoken)
+        assert.isTrue(bchaddr.isEtokenAddress(address))
+        assert.isFalse(bchaddr.isEcashAddress(address))
+        assert.isFalse(bchaddr.isSlpAddress(address))
+      })
+      CASHADDR.concat(LEGACY).forEach(function (address) {
+        assert.isFalse(bchaddr.isEcashAddress(address))
+        assert.isFalse(bchaddr.isEtokenAddress(address))
+      })
+      assert.strictEqual(bchaddr.detectAddressNetwork(ECASH[2]), bchaddr.Network.Testnet)
+    })
+    it('should fail when called with an invalid address', function () {
+      [
+        bchaddr.toEcashAddress,
+        bchaddr.toEtokenAddress,
+        bchaddr.isEcashAddress,
+        bchaddr.isEtokenAddress
+      ].forEach(function (fn) {
+        assert.throws(function () {
+          fn()
+        }, bchaddr.InvalidAddressError)
+        assert.throws(function () {
+          fn('ecash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk')
+        }, bchaddr.InvalidAddressError)
+      })
+    })
+  })
+
+  describe('#toOutputScript()', function () {
+    it('should return the locking bytecode of every address type', function () {
+      assert.deepEqual(
+        bchaddr.toOutputScript('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'),
+        Uint8Array.from([
+          0x76, 0xa9, 0x14, 0x6f, 0x4b, 0x70, 0x5e, 0x3e, 0x04, 0x07, 0xbf, 0x31, 0x59,
+          0xe9, 0xc4, 0x05, 0x0d, 0xf1, 0xb7, 0x91, 0xd2, 0xc3, 0xf6, 0x88, 0xac
+        ])
+      )
+      assert.strictEqual(
+        bchaddr.toOutputScript('bitcoincash:ppm2qsznhks23z7629mms6s4cwef74vcwvn0h829pq', { encoding: 'hex' }),
+        'a91476a04053bda0a88bda5177b86a15c3b29f55987387'
+      )
+      P2SH32_ADDRESSES.forEach(function (address) {
+        assert.strictEqual(
+          bchaddr.toOutputScript(address, { encoding: 'hex' }),
+          'aa20' + P2SH32_HASH + '87'
+        )
+      })
+    })
+    it('should fail when called with an invalid address', function () {
+      assert.throws(function () {
+        bchaddr.toOutputScript('some invalid address')
+      }, bchaddr.InvalidAddressError)
+    })
+  })
+
+  describe('#fromOutputScript()', function () {
+    it('should recognize standard output scripts', function () {
+      assert.strictEqual(
+        bchaddr.fromOutputScript('76a9146f4b705e3e0407bf3159e9c4050df1b791d2c3f688ac'),
+        'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+      )
+      assert.strictEqual(
+        bchaddr.fromOutputScript(bchaddr.toOutputScript('3CWFddi6m4ndiGyKqzYvsFYagqDLPVMTzC')),
+        'bitcoincash:ppm2qsznhks23z7629mms6s4cwef74vcwvn0h829pq'
+      )
+      assert.strictEqual(
+        bchaddr.fromOutputScript('AA20' + P2SH32_HASH.toUpperCase() + '87', { network: bchaddr.Network.Testnet }),
+        P2SH32_ADDRESSES[1]
+      )
+    })
+    it('should return addresses in the requested format and network', function () {
+      var script = Array.from(bchaddr.toOutputScript('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'))
+      assert.strictEqual(bchaddr.fromOutputScript(script, { format: bchaddr.Format.Legacy }), '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR')
+      assert.strictEqual(bchaddr.fromOutputScript(script, { format: bchaddr.Format.Bitpay }), 'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj')
+      assert.strictEqual(
+        bchaddr.fromOutputScript(script, { format: bchaddr.Format.Slpaddr, network: bchaddr.Network.Testnet }),
+        'slptest:qph5kuz78czq00e3t85ugpgd7xmer5kr7ct0ew4pmh'
+      )
+    })
+    it('should fail on scripts not matching a standard template', function () {
+      [
+        '',
+        '6a',
+        '76a9146f4b705e3e0407bf3159e9c4050df1b791d2c3f688',
+        '76a9156f4b705e3e0407bf3159e9c4050df1b791d2c3f6ff88ac',
+        'a91476a04053bda0a88bda5177b86a15c3b29f55987388',
+        'not hex',
+        undefined
+      ].forEach(function (script) {
+        assert.throws(function () {
+          bchaddr.fromOutputScript(script)
+        }, bchaddr.UnsupportedScriptError)
+      })
+    })
+    it('should fail on formats which cannot represent the script', function () {
+      assert.throws(function () {
+        bchaddr.fromOutputScript('aa20' + P2SH32_HASH + '87', { format: bchaddr.Format.Legacy })
+      }, bchaddr.UnsupportedConversionError)
+      assert.throws(function () {
+        bchaddr.fromOutputScript('a91476a04053bda0a88bda5177b86a15c3b29f55987387', { format: 'base64' })
+      }, bchaddr.UnsupportedConversionError)
+    })
+  })
+
+  describe('#fromPublicKey()', function () {
+    var COMPRESSED = '0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798'
+    var UNCOMPRESSED = '0479be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798' +
+      '483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8'
+    it('should derive the address of compressed and uncompressed public keys', function () {
+      assert.strictEqual(bchaddr.fromPublicKey(COMPRESSED), 'bitcoincash:qp63uahgrxged4z5jswyt5dn5v3lzsem6cy4spdc2h')
+      assert.strictEqual(bchaddr.fromPublicKey(COMPRESSED, { format: bchaddr.Format.Legacy }), '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH')
+      assert.strictEqual(bchaddr.fromPublicKey(UNCOMPRESSED.toUpperCase(), { format: bchaddr.Format.Legacy }), '1EHNa6Q4Jz2uvNExL497mE43ikXhwF6kZm')
+    })
+    it('should accept public keys as bytes', function () {
+      var bytes = COMPRESSED.match(/../g).map(function (byte) {
+        return parseInt(byte, 16)
+      })
+      assert.strictEqual(bchaddr.fromPublicKey(bytes, { format: bchaddr.Format.Bitpay }), 'CT9A8CEgF7qJ3T6QuXSFQN31kEexxxa2oX')
+      assert.strictEqual(
+        bchaddr.fromPublicKey(Uint8Array.from(bytes), { format: bchaddr.Format.Slpaddr, network: bchaddr.Network.Testnet }),
+        'slptest:qp63uahgrxged4z5jswyt5dn5v3lzsem6cmnna4clk'
+      )
+    })
+    it('should fail on malformed public keys', function () {
+      [
+        undefined,
+        '',
+        'not hex',
+        COMPRESSED.slice(2),
+        '04' + COMPRESSED.slice(2),
+        '05' + UNCOMPRESSED.slice(2),
+        UNCOMPRESSED + '00'
+      ].forEach(function (publicKey) {
+        assert.throws(function () {
+          bchaddr.fromPublicKey(publicKey)
+        }, bchaddr.InvalidPublicKeyError)
+      })
+    })
+  })
+
+  describe('#fromRedeemScript()', function () {
+    var REDEEM_SCRIPT = '5151935287'
+    it('should derive P2SH20 addresses', function () {
+      assert.strictEqual(bchaddr.fromRedeemScript(REDEEM_SCRIPT), 'bitcoincash:pzmu69gf76v39gmhfy7ggz0qwa9gqkl9dv7uc5dmdk')
+      assert.strictEqual(
+        bchaddr.fromRedeemScript([0x51, 0x51, 0x93, 0x52, 0x87], { format: bchaddr.Format.Legacy }),
+        '3JSsG1TG4miHd3a5pvgvjYb3qZJrTEEzHf'
+      )
+    })
+    it('should derive P2SH32 addresses', function () {
+      var address = bchaddr.fromRedeemScript(REDEEM_SCRIPT, { hashSize: 32, network: bchaddr.Network.Testnet })
+      assert.strictEqual(address, 'bchtest:pw4q9wnppkhgxqgfcgjk0kyzjp3yty4gtwf5rep492f7avtprvjyx0yf0zfxn')
+      assert.isTrue(bchaddr.isP2SH32Address(address))
+    })
+    it('should refuse P2SH32 addresses in base58 formats', function () {
+      [bchaddr.Format.Legacy, bchaddr.Format.Bitpay].forEach(function (format) {
+        assert.throws(function () {
+          bchaddr.fromRedeemScript(REDEEM_SCRIPT, { hashSize: 32, format: format })
+        }, bchaddr.UnsupportedConversionError)
+      })
+      var hashSizes = [24, 0, null, '20']
+      hashSizes.forEach(function (hashSize) {
+        assert.throws(function () {
+          bchaddr.fromRedeemScript(REDEEM_SCRIPT, { hashSize: hashSize })
+        }, bchaddr.UnsupportedConversionError)
+      })
+    })
+    it('should fail on malformed or oversized redeem scripts', function () {
+      [
+        undefined,
+        '',
+        'not hex',
+        new Uint8Array(10001)
+      ].forEach(function (redeemScript) {
+        assert.throws(function () {
+          bchaddr.fromRedeemScript(redeemScript)
+        }, bchaddr.UnsupportedScriptError)
+      })
+      assert.isTrue(bchaddr.isValidAddress(bchaddr.fromRedeemScript(new Uint8Array(10000))))
+    })
+  })
+
+  describe('#parsePaymentURI()', function () {
+    var ADDRESS = 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+    it('should parse the address and parameters of a payment URI', function () {
+      assert.deepEqual(
+        bchaddr.parsePaymentURI(ADDRESS + '?amount=0.1&label=Shop%20%26%20Co&message=Thanks%21&r=https%3A%2F%2Fexample.com%2Fi%2F1&x-ref=42'),
+        {
+          address: ADDRESS,
+          format: bchaddr.Format.Cashaddr,
+          network: bchaddr.Network.Mainnet,
+          type: bchaddr.Type.P2PKH,
+          amount: '0.1',
+          label: 'Shop & Co',
+          message: 'Thanks!',
+          r: 'https://example.com/i/1',
+          params: { 'x-ref': '42' }
+        }
+      )
+    })
+    it('should parse payment URIs without parameters', function () {
+      assert.deepEqual(bchaddr.parsePaymentURI(ADDRESS), {
+        address: ADDRESS,
+        format: bchaddr.Format.Cashaddr,
+        network: bchaddr.Network.Mainnet,
+        type: bchaddr.Type.P2PKH,
+        params: {}
+      })
+    })
+    it('should report the format and network of the address', function () {
+      var parsed = bchaddr.parsePaymentURI('bchtest:ppm2qsznhks23z7629mms6s4cwef74vcwvhanqgjxu?amount=2')
+      assert.strictEqual(parsed.network, bchaddr.Network.Testnet)
+      assert.strictEqual(parsed.type, bchaddr.Type.P2SH)
+      parsed = bchaddr.parsePaymentURI('bitcoincash:1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR')
+      assert.strictEqual(parsed.address, '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR')
+      assert.strictEqual(parsed.format, bchaddr.Format.Legacy)
+      parsed = bchaddr.parsePaymentURI(ADDRESS.toUpperCase() + '?amount=1')
+      assert.strictEqual(parsed.address, ADDRESS.toUpperCase())
+      assert.strictEqual(parsed.amount, '1')
+    })
+    it('should reject invalid payment URIs', function () {
+      [
+        undefined,
+        '',
+        ADDRESS.split(':')[1],
+        'bitcoin:' + ADDRESS.split(':')[1],
+        ADDRESS + '?amount=1,5',
+        ADDRESS + '?amount=0.123456789',
+        ADDRESS + '?amount=1&amount=2',
+        ADDRESS + '?label=%E0%A4%A',
+        ADDRESS + '?req-expires=1700000000'
+      ].forEach(function (uri) {
+        assert.throws(function () {
+          bchaddr.parsePaymentURI(uri)
+        }, bchaddr.InvalidPaymentURIError)
+      })
+    })
+    it('should reject payment URIs with an invalid address', function () {
+      [
+        'bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk',
+        'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwq?amount=1'
+      ].forEach(function (uri) {
+        assert.throws(function () {
+          bchaddr.parsePaymentURI(uri)
+        }, bchaddr.InvalidAddressError)
+      })
+    })
+  })
+
+  describe('#buildPaymentURI()', function () {
+    it('should build payment URIs with percent-encoded parameters', function () {
+      assert.strictEqual(
+        bchaddr.buildPaymentURI('bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk', {
+          amount: 0.1,
+          label: 'Shop & Co',
+          message: 'Thanks!',
+          r: 'https://example.com/i/1',
+          params: { 'x-ref': 42 }
+        }),
+        'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk?amount=0.1&label=Shop%20%26%20Co&message=Thanks!&r=https%3A%2F%2Fexample.com%2Fi%2F1&x-ref=42'
+      )
+    })
+    it('should translate base58 addresses into cashaddr format', function () {
+      assert.strictEqual(
+        bchaddr.buildPaymentURI('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'),
+        'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+      )
+      assert.strictEqual(
+        bchaddr.buildPaymentURI('qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2', { amount: 0.00000001 }),
+        'bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2?amount=0.00000001'
+      )
+    })
+    it('should round trip through parsePaymentURI', function () {
+      var options = { amount: '12.5', label: 'ümlaut / ? & =', message: '100% + more' }
+      var parsed = bchaddr.parsePaymentURI(bchaddr.buildPaymentURI('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', options))
+      assert.strictEqual(parsed.amount, options.amount)
+      assert.strictEqual(parsed.label, options.label)
+      assert.strictEqual(parsed.message, options.message)
+    })
+    it('should reject invalid parameters', function () {
+      [
+        { amount: -1 },
+        { amount: '1e-8' },
+        { amount: 1e-9 },
+        { amount: 0.123456789 },
+        { amount: NaN },
+        { params: { amount: '1' } }
+      ].forEach(function (options) {
+        assert.throws(function () {
+          bchaddr.buildPaymentURI('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', options)
+        }, bchaddr.InvalidPaymentURIError)
+      })
+      assert.throws(function () {
+        bchaddr.buildPaymentURI('some invalid address')
+      }, bchaddr.InvalidAddressError)
+    })
+  })
+
+  describe('#parseSlpPaymentURI()', function () {
+    var ADDRESS = 'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg'
+    var TOKEN_ID = '4de69e374a8ed21cbddd47f2338cc0f479dc58daa2bbe11cd604ca488eca0ddf'
+    var OTHER_TOKEN_ID = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef'
+    it('should parse token amounts', function () {
+      assert.deepEqual(
+        bchaddr.parseSlpPaymentURI(ADDRESS + '?amount=0.5&amount2=3-' + OTHER_TOKEN_ID.toUpperCase() + '&amount1=10.123456789-' + TOKEN_ID + '&label=Shop'),
+        {
+          address: ADDRESS,
+          format: bchaddr.Format.Slpaddr,
+          network: bchaddr.Network.Mainnet,
+          type: bchaddr.Type.P2PKH,
+          amount: '0.5',
+          label: 'Shop',
+          params: {},
+          tokens: [
+            { tokenId: TOKEN_ID, amount: '10.123456789' },
+            { tokenId: OTHER_TOKEN_ID, amount: '3' }
+          ]
+        }
+      )
+    })
+    it('should reject invalid token amounts', function () {
+      [
+        '?amount1=10',
+        '?amount1=10-' + TOKEN_ID.slice(2),
+        '?amount1=0-' + TOKEN_ID,
+        '?amount1=1.1234567891-' + TOKEN_ID,
+        '?amount1=-1-' + TOKEN_ID,
+        '?amount1=1-' + TOKEN_ID + '&amount2=2-' + TOKEN_ID.toUpperCase()
+      ].forEach(function (query) {
+        assert.throws(function () {
+          bchaddr.parseSlpPaymentURI(ADDRESS + query)
+        }, bchaddr.InvalidPaymentURIError)
+      })
+    })
+    it('should reject payment URIs not using an slpaddr scheme', function () {
+      assert.throws(function () {
+        bchaddr.parseSlpPaymentURI('bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk?amount1=1-' + TOKEN_ID)
+      }, bchaddr.InvalidPaymentURIError)
+    })
+    it('should reject addresses on the wrong network', function () {
+      var uri = 'slptest:qph5kuz78czq00e3t85ugpgd7xmer5kr7ct0ew4pmh?amount1=1-' + TOKEN_ID
+      assert.strictEqual(bchaddr.parseSlpPaymentURI(uri, { network: bchaddr.Network.Testnet }).network, bchaddr.Network.Testnet)
+      assert.throws(function () {
+        bchaddr.parseSlpPaymentURI(uri, { network: bchaddr.Network.Mainnet })
+      }, bchaddr.InvalidPaymentURIError)
+    })
+  })
+
+  describe('#buildSlpPaymentURI()', function () {
+    var TOKEN_ID = '4de69e374a8ed21cbddd47f2338cc0f479dc58daa2bbe11cd604ca488eca0ddf'
+    it('should build SLP payment URIs with token amounts', function () {
+      assert.strictEqual(
+        bchaddr.buildSlpPaymentURI('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', {
+          amount: 0.5,
+          tokens: [{ tokenId: TOKEN_ID.toUpperCase(), amount: '10.5' }],
+          message: 'Order #1'
+        }),
+        'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg?amount=0.5&amount1=10.5-' + TOKEN_ID + '&message=Order%20%231'
+      )
+    })
+    it('should round trip through parseSlpPaymentURI', function () {
+      var tokens = [{ tokenId: TOKEN_ID, amount: '1' }, { tokenId: new Array(65).join('f'), amount: '2.25' }]
+      var uri = bchaddr.buildSlpPaymentURI('bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2', { tokens: tokens })
+      assert.deepEqual(bchaddr.parseSlpPaymentURI(uri).tokens, tokens)
+    })
+    it('should reject invalid tokens and addresses on the wrong network', function () {
+      [
+        { tokens: [{ tokenId: 'abc', amount: '1' }] },
+        { tokens: [{ tokenId: TOKEN_ID, amount: 0 }] },
+        { tokens: [{ tokenId: TOKEN_ID, amount: '1' }, { tokenId: TOKEN_ID, amount: '2' }] },
+        { params: { amount1: '1-' + TOKEN_ID } },
+        { network: bchaddr.Network.Testnet }
+      ].forEach(function (options) {
+        assert.throws(function () {
+          bchaddr.buildSlpPaymentURI('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', options)
+        }, bchaddr.InvalidPaymentURIError)
+      })
+    })
+  })
+
+  describe('#convertAddress()', function () {
+    var LEGACY = '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+    var CASHADDR = 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+    it('should keep whatever is not given', function () {
+      assert.strictEqual(bchaddr.convertAddress(LEGACY), LEGACY)
+      assert.strictEqual(bchaddr.convertAddress(LEGACY, { network: bchaddr.Network.Testnet }), 'mqfRfwGeZnFwfFE7KWJjyg6Yx212iGi6Fi')
+      assert.strictEqual(bchaddr.convertAddress(CASHADDR, { network: bchaddr.Network.Testnet }), 'bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2')
+    })
+    it('should translate into any combination of format, network and type', function () {
+      assert.strictEqual(bchaddr.convertAddress(LEGACY, { format: bchaddr.Format.Slpaddr, network: bchaddr.Network.Testnet }), 'slptest:qph5kuz78czq00e3t85ugpgd7xmer5kr7ct0ew4pmh')
+      assert.strictEqual(bchaddr.convertAddress(LEGACY, { format: bchaddr.Format.Cashaddr, type: bchaddr.Type.P2SH }), 'bitcoincash:pph5kuz78czq00e3t85ugpgd7xmer5kr7crv8a2z4t')
+      assert.strictEqual(bchaddr.convertAddress(LEGACY, { format: bchaddr.Format.Bitpay }), 'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj')
+      assert.strictEqual(bchaddr.convertAddress(CASHADDR, { tokenSupport: true, includePrefix: false }), 'zph5kuz78czq00e3t85ugpgd7xmer5kr7cnrfvr839')
+    })
+    it('should fail on unsupported combinations', function () {
+      [
+        { format: bchaddr.Format.Etoken, network: bchaddr.Network.Testnet },
+        { format: bchaddr.Format.Legacy, tokenSupport: true },
+        { format: bchaddr.Format.Bitpay, network: bchaddr.Network.Testnet },
+        { format: bchaddr.Format.Bitpay, network: bchaddr.Network.Regtest }
+      ].forEach(function (options) {
+        assert.throws(function () {
+          bchaddr.convertAddress(LEGACY, options)
+        }, bchaddr.UnsupportedConversionError)
+      })
+      assert.throws(function () {
+        bchaddr.convertAddress('bitcoincash:pv82h5seg37kkvxv4u696a3udz9f8yds7axzde3fsgk9t6crw2835t6y03juw', { type: bchaddr.Type.P2PKH })
+      }, bchaddr.UnsupportedConversionError)
+    })
+    it('should fail on invalid addresses and options', function () {
+      assert.throws(function () {
+        bchaddr.convertAddress('some invalid address')
+      }, bchaddr.InvalidAddressError)
+      assert.throws(function () {
+        bchaddr.convertAddress(LEGACY, { format: 'segwit' })
+      }, TypeError)
+      assert.throws(function () {
+        bchaddr.convertAddress(LEGACY, { network: 'signet' })
+      }, TypeError)
+    })
+  })
+
+  describe('#encodeAddress()', function () {
+    var HASH = '6f4b705e3e0407bf3159e9c4050df1b791d2c3f6'
+    it('should accept hashes as hex strings, bytes or buffers', function () {
+      [HASH, HASH.toUpperCase(), Uint8Array.from(Buffer.from(HASH, 'hex')), Buffer.from(HASH, 'hex')].forEach(function (hash) {
+        assert.strictEqual(bchaddr.encodeAddress({ hash: hash, type: bchaddr.Type.P2PKH }), 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk')
+      })
+    })
+    it('should encode into any combination of format, network and type', function () {
+      assert.strictEqual(
+        bchaddr.encodeAddress({ hash: HASH, type: bchaddr.Type.P2PKH, format: bchaddr.Format.Legacy, network: bchaddr.Network.Testnet }),
+        'mqfRfwGeZnFwfFE7KWJjyg6Yx212iGi6Fi'
+      )
+      assert.strictEqual(
+        bchaddr.encodeAddress({ hash: new Uint8Array(32).fill(7), type: bchaddr.Type.P2SH, network: bchaddr.Network.Testnet }),
+        'bchtest:pvrswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qursw3hlfgkw4'
+      )
+      assert.strictEqual(
+        bchaddr.encodeAddress({ hash: HASH, type: bchaddr.Type.P2PKH, tokenSupport: true, case: 'upper' }),
+        'BITCOINCASH:ZPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7CNRFVR839'
+      )
+    })
+    it('should fail on unsupported combinations', function () {
+      [
+        { hash: HASH, type: bchaddr.Type.P2PKH, format: bchaddr.Format.Etoken, network: bchaddr.Network.Testnet },
+        { hash: new Uint8Array(32), type: bchaddr.Type.P2SH, format: bchaddr.Format.Bitpay },
+        { hash: new Uint8Array(32), type: bchaddr.Type.P2PKH },
+        { hash: HASH, type: bchaddr.Type.P2PKH, format: bchaddr.Format.Bitpay, network: bchaddr.Network.Testnet }
+      ].forEach(function (fields) {
+        assert.throws(function () {
+          bchaddr.encodeAddress(fields)
+        }, bchaddr.UnsupportedConversionError)
+      })
+    })
+    it('should fail on invalid fields', function () {
+      [
+        undefined,
+        { type: bchaddr.Type.P2PKH },
+        { hash: 'xyz', type: bchaddr.Type.P2PKH },
+        { hash: new Uint8Array(21), type: bchaddr.Type.P2PKH },
+        { hash: HASH },
+        { hash: HASH, type: 'p2wpkh' },
+        { hash: HASH, type: bchaddr.Type.P2PKH, format: 'segwit' },
+        { hash: HASH, type: bchaddr.Type.P2PKH, network: 'signet' },
+        { hash: HASH, type: bchaddr.Type.P2PKH, case: 'mixed' }
+      ].forEach(function (fields) {
+        assert.throws(function () {
+          bchaddr.encodeAddress(fields)
+        }, TypeError)
+      })
+    })
+  })
+
+  describe('Address', function () {
+    var LEGACY = '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+    var CASHADDR = 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+    var HASH = '6f4b705e3e0407bf3159e9c4050df1b791d2c3f6'
+    it('should expose the decoded fields', function () {
+      var address = bchaddr.Address.from(CASHADDR.split(':')[1])
+      assert.instanceOf(address, bchaddr.Address)
+      assert.strictEqual(address.hashHex, HASH)
+      assert.deepEqual(address.hash, Uint8Array.from(Buffer.from(HASH, 'hex')))
+      assert.strictEqual(address.format, bchaddr.Format.Cashaddr)
+      assert.strictEqual(address.network, bchaddr.Network.Mainnet)
+      assert.strictEqual(address.type, bchaddr.Type.P2PKH)
+      assert.strictEqual(address.prefix, 'bitcoincash')
+      assert.isNull(bchaddr.Address.from(LEGACY).prefix)
+    })
+    it('should be immutable', function () {
+      var address = bchaddr.Address.from(CASHADDR)
+      assert.throws(function () {
+        'use strict'
+        address.network = bchaddr.Network.Testnet
+      }, TypeError)
+      address.hash[0] ^= 1
+      assert.strictEqual(address.hashHex, HASH)
+      assert.strictEqual(bchaddr.Address.from(address), address)
+    })
+    it('should translate into other formats', function () {
+      var address = bchaddr.Address.from(LEGACY)
+      assert.strictEqual(address.toCashAddress(), CASHADDR)
+      assert.strictEqual(address.toCashAddress({ case: 'upper' }), CASHADDR.toUpperCase())
+      assert.strictEqual(address.toSlp(), 'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg')
+      assert.strictEqual(bchaddr.Address.from(CASHADDR).toLegacy(), LEGACY)
+      assert.strictEqual(address.toString(), LEGACY)
+      assert.strictEqual(address.toString(bchaddr.Format.Bitpay), 'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj')
+      assert.strictEqual(JSON.stringify({ address: address }), '{"address":"' + LEGACY + '"}')
+    })
+    it('should compare addresses in any format', function () {
+      var address = bchaddr.Address.from(LEGACY)
+      assert.isTrue(address.equals(CASHADDR))
+      assert.isTrue(address.equals(bchaddr.Address.from('CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj')))
+      assert.isFalse(address.equals('bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2'))
+      assert.isFalse(address.equals('bitcoincash:pph5kuz78czq00e3t85ugpgd7xmer5kr7crv8a2z4t'))
+      assert.isFalse(address.equals('some invalid address'))
+    })
+    it('should fail on invalid or rejected addresses', function () {
+      assert.throws(function () {
+        bchaddr.Address.from('some invalid address')
+      }, bchaddr.InvalidAddressError)
+      assert.throws(function () {
+        bchaddr.Address.from(LEGACY, { network: bchaddr.Network.Testnet })
+      }, bchaddr.InvalidAddressError)
+      var address = bchaddr.Address.from(CASHADDR)
+      var rejections = [
+        { network: bchaddr.Network.Testnet },
+        { formats: [bchaddr.Format.Legacy] },
+        { types: [bchaddr.Type.P2SH] }
+      ]
+      assert.strictEqual(bchaddr.Address.from(address, { network: bchaddr.Network.Mainnet, requirePrefix: true }), address)
+      rejections.forEach(function (options) {
+        assert.throws(function () {
+          bchaddr.Address.from(address, options)
+        }, bchaddr.InvalidAddressError)
+      })
+      assert.throws(function () {
+        bchaddr.Address.from('bitcoincash:pv82h5seg37kkvxv4u696a3udz9f8yds7axzde3fsgk9t6crw2835t6y03juw').toLegacy()
+      }, bchaddr.UnsupportedConversionError)
+    })
+  })
+
+  describe('#addressesEqual()', function () {
+    var LEGACY = '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+    var CASHADDR = 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+    var SLPADDR = 'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg'
+    var TESTNET = 'bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2'
+    it('should compare addresses of the same namespace in any format', function () {
+      assert.isTrue(bchaddr.addressesEqual(LEGACY, CASHADDR))
+      assert.isTrue(bchaddr.addressesEqual('CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj', CASHADDR.split(':')[1]))
+      assert.isTrue(bchaddr.addressesEqual(bchaddr.toTokenAwareAddress(CASHADDR), bchaddr.Address.from(LEGACY)))
+      assert.isFalse(bchaddr.addressesEqual(LEGACY, 'bitcoincash:pph5kuz78czq00e3t85ugpgd7xmer5kr7crv8a2z4t'))
+      assert.isFalse(bchaddr.addressesEqual(LEGACY, 'bitcoincash:ppm2qsznhks23z7629mms6s4cwef74vcwvn0h829pq'))
+    })
+    it('should tell namespaces and networks apart unless told otherwise', function () {
+      assert.isFalse(bchaddr.addressesEqual(CASHADDR, SLPADDR))
+      assert.isTrue(bchaddr.addressesEqual(CASHADDR, SLPADDR, { ignoreNamespace: true }))
+      assert.isFalse(bchaddr.addressesEqual(CASHADDR, TESTNET))
+      assert.isTrue(bchaddr.addressesEqual(CASHADDR, TESTNET, { ignoreNetwork: true }))
+      assert.isFalse(bchaddr.addressesEqual(SLPADDR, TESTNET, { ignoreNetwork: true }))
+      assert.isTrue(bchaddr.addressesEqual(SLPADDR, TESTNET, { ignoreNetwork: true, ignoreNamespace: true }))
+      assert.isFalse(bchaddr.Address.from(CASHADDR).equals(SLPADDR))
+      assert.isTrue(bchaddr.Address.from(CASHADDR).equals(SLPADDR, { ignoreNamespace: true }))
+    })
+    it('should fail on invalid addresses', function () {
+      assert.throws(function () {
+        bchaddr.addressesEqual(LEGACY, 'some invalid address')
+      }, bchaddr.InvalidAddressError)
+    })
+  })
+
+  describe('#canonicalKey()', function () {
+    it('should return the same key whatever the format', function () {
+      [
+        '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR',
+        'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj',
+        'BITCOINCASH:QPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7C5F6JDPWK',
+        'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg',
+        'bitcoincash:zph5kuz78czq00e3t85ugpgd7xmer5kr7cnrfvr839'
+      ].forEach(function (address) {
+        assert.strictEqual(bchaddr.canonicalKey(address), 'bch:p2pkh:mainnet:6f4b705e3e0407bf3159e9c4050df1b791d2c3f6')
+      })
+      assert.strictEqual(
+        bchaddr.canonicalKey('bitcoincash:pv82h5seg37kkvxv4u696a3udz9f8yds7axzde3fsgk9t6crw2835t6y03juw'),
+        'bch:p2sh:mainnet:' + bchaddr.Address.from('bitcoincash:pv82h5seg37kkvxv4u696a3udz9f8yds7axzde3fsgk9t6crw2835t6y03juw').hashHex
+      )
+      assert.strictEqual(bchaddr.canonicalKey('bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2'), 'bch:p2pkh:testnet:6f4b705e3e0407bf3159e9c4050df1b791d2c3f6')
+    })
+    it('should keep eCash addresses apart', function () {
+      ['ecash:qph5kuz78czq00e3t85ugpgd7xmer5kr7cdywekmgp', 'etoken:qph5kuz78czq00e3t85ugpgd7xmer5kr7cr68mquvk'].forEach(function (address) {
+        assert.strictEqual(bchaddr.canonicalKey(address), 'ecash:p2pkh:mainnet:6f4b705e3e0407bf3159e9c4050df1b791d2c3f6')
+      })
+    })
+  })
+
+  describe('#fromCanonicalKey()', function () {
+    var KEY = 'bch:p2pkh:mainnet:6f4b705e3e0407bf3159e9c4050df1b791d2c3f6'
+    var ECASH_KEY = 'ecash:p2pkh:mainnet:6f4b705e3e0407bf3159e9c4050df1b791d2c3f6'
+    it('should return the address of the given key', function () {
+      assert.strictEqual(bchaddr.fromCanonicalKey(KEY), 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk')
+      assert.strictEqual(bchaddr.fromCanonicalKey(KEY, { format: bchaddr.Format.Legacy }), '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR')
+      assert.strictEqual(bchaddr.fromCanonicalKey(KEY, { format: bchaddr.Format.Slpaddr, includePrefix: false }), 'qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg')
+      var P2SH32 = 'bitcoincash:pv82h5seg37kkvxv4u696a3udz9f8yds7axzde3fsgk9t6crw2835t6y03juw'
+      assert.strictEqual(bchaddr.fromCanonicalKey(bchaddr.canonicalKey(P2SH32)), P2SH32)
+    })
+    it('should encode keys into the format family of their chain', function () {
+      assert.strictEqual(bchaddr.fromCanonicalKey(ECASH_KEY), 'ecash:qph5kuz78czq00e3t85ugpgd7xmer5kr7cdywekmgp')
+      assert.strictEqual(bchaddr.fromCanonicalKey(ECASH_KEY, { format: bchaddr.Format.Etoken }), 'etoken:qph5kuz78czq00e3t85ugpgd7xmer5kr7cr68mquvk')
+      assert.throws(function () {
+        bchaddr.fromCanonicalKey(ECASH_KEY, { format: bchaddr.Format.Cashaddr })
+      }, bchaddr.UnsupportedConversionError)
+      assert.throws(function () {
+        bchaddr.fromCanonicalKey(KEY, { format: bchaddr.Format.Ecash })
+      }, bchaddr.UnsupportedConversionError)
+    })
+    it('should fail on invalid keys', function () {
+      [undefined, '', 'bch:p2pkh:mainnet', 'bch:p2pkh:mainnet:6f4b7', 'p2pkh:mainnet:6f4b705e3e0407bf3159e9c4050df1b791d2c3f6', 'xec:p2pkh:mainnet:6f4b705e3e0407bf3159e9c4050df1b791d2c3f6', 'bch:p2wpkh:mainnet:6f4b705e3e0407bf3159e9c4050df1b791d2c3f6', 'bch:p2pkh:signet:6f4b705e3e0407bf3159e9c4050df1b791d2c3f6'].forEach(function (key) {
+        assert.throws(function () {
+          bchaddr.fromCanonicalKey(key)
+        }, TypeError)
+      })
+    })
+  })
+
+  describe('#findAddresses()', function () {
+    var TEXT = 'Please send to bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk, or (1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR).\n' +
+      'Tokens: "simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg?amount=1"\n' +
+      'Testnet: QPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7C5F6JDPWK;1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzr'
+    it('should find every valid address with its offsets', function () {
+      var results = bchaddr.findAddresses(TEXT)
+      assert.deepEqual(results.map(function (result) {
+        return result.address
+      }), [
+        'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk',
+        '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR',
+        'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg',
+        'QPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7C5F6JDPWK'
+      ])
+      results.forEach(function (result) {
+        assert.strictEqual(TEXT.slice(result.start, result.end), result.address)
+      })
+      assert.deepEqual(results[1], {
+        address: '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR',
+        start: 75,
+        end: 109,
+        format: bchaddr.Format.Legacy,
+        network: bchaddr.Network.Mainnet,
+        type: bchaddr.Type.P2PKH,
+        normalized: '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+      })
+    })
+    it('should normalize addresses into their own format', function () {
+      var results = bchaddr.findAddresses(TEXT)
+      assert.strictEqual(results[2].format, bchaddr.Format.Slpaddr)
+      assert.strictEqual(results[3].normalized, 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk')
+    })
+    it('should skip unknown prefixes and apply restrictions', function () {
+      var results = bchaddr.findAddresses('to:1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR')
+      assert.strictEqual(results.length, 1)
+      assert.strictEqual(results[0].start, 3)
+      assert.deepEqual(bchaddr.findAddresses(TEXT, { formats: [bchaddr.Format.Slpaddr] }).map(function (result) {
+        return result.start
+      }), [121])
+      assert.deepEqual(bchaddr.findAddresses('no addresses here'), [])
+    })
+    it('should find addresses wrapped over several lines', function () {
+      var text = 'pay bitcoincash:qph5kuz78czq00e3t85ugpg\nd7xmer5kr7c5f6jdpwk now\r\n' +
+        'or 1B9UNtBfkk\r\npgt8kVbwLN9\r\nktE62QKnMbDzR.\n' +
+        'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj\nqph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+      assert.deepEqual(bchaddr.findAddresses(text).map(function (result) {
+        return [result.address, text.slice(result.start, result.end).replace(/\r?\n/g, '')]
+      }), [
+        ['bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk', 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'],
+        ['1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'],
+        ['CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj', 'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj'],
+        ['qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk', 'qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk']
+      ])
+      assert.deepEqual(bchaddr.findAddresses('bitcoincash:\nqph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk\n\n1B9UNtBfkkpgt8kVbwLN9\n\nktE62QKnMbDzR').map(function (result) {
+        return result.address
+      }), ['qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'])
+    })
+    it('should fail when not given a string', function () {
+      assert.throws(function () {
+        bchaddr.findAddresses({})
+      }, TypeError)
+    })
+  })
+
+  describe('#mapAddresses()', function () {
+    it('should rewrite every address in a JSON document', function () {
+      var document = {
+        from: '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR',
+        outputs: [{ to: 'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj', amount: 1 }, null, true],
+        memo: 'Sent by 1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+      }
+      var mapped = bchaddr.mapAddresses(document, bchaddr.toCashAddress)
+      assert.deepEqual(mapped, {
+        from: 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk',
+        outputs: [{ to: 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk', amount: 1 }, null, true],
+        memo: 'Sent by 1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+      })
+      assert.strictEqual(document.from, '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR')
+      assert.strictEqual(bchaddr.mapAddresses('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', bchaddr.toSlpAddress), 'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg')
+    })
+  })
+
+  describe('#convertAddresses()', function () {
+    var INPUTS = [
+      '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR',
+      'some invalid address',
+      'bitcoincash:pv82h5seg37kkvxv4u696a3udz9f8yds7axzde3fsgk9t6crw2835t6y03juw',
+      '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR',
+      undefined
+    ]
+    it('should return one result per address', function () {
+      var results = bchaddr.convertAddresses(INPUTS, { format: bchaddr.Format.Cashaddr })
+      assert.strictEqual(results.length, INPUTS.length)
+      assert.deepEqual(results[0], {
+        input: '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR',
+        output: 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk',
+        format: bchaddr.Format.Cashaddr,
+        network: bchaddr.Network.Mainnet,
+        type: bchaddr.Type.P2PKH,
+        error: null
+      })
+      assert.deepEqual(results[3], results[0])
+      assert.notStrictEqual(results[3], results[0])
+      assert.strictEqual(results[2].output, INPUTS[2])
+      assert.strictEqual(results[4].input, undefined)
+    })
+    it('should report the error of each invalid address without throwing', function () {
+      var results = bchaddr.convertAddresses(INPUTS, { format: bchaddr.Format.Legacy })
+      assert.instanceOf(results[1].error, bchaddr.InvalidAddressError)
+      assert.strictEqual(results[1].output, null)
+      assert.instanceOf(results[2].error, bchaddr.UnsupportedConversionError)
+      assert.instanceOf(results[4].error, bchaddr.InvalidAddressError)
+      assert.strictEqual(results[3].output, INPUTS[0])
+    })
+    it('should translate into the given network', function () {
+      var results = bchaddr.convertAddresses(INPUTS.slice(0, 1), { network: bchaddr.Network.Testnet })
+      assert.strictEqual(results[0].output, 'mqfRfwGeZnFwfFE7KWJjyg6Yx212iGi6Fi')
+      assert.strictEqual(results[0].format, bchaddr.Format.Legacy)
+      assert.strictEqual(results[0].network, bchaddr.Network.Testnet)
+    })
+    it('should report unsupported conversions as errors', function () {
+      var results = bchaddr.convertAddresses(INPUTS.slice(0, 1), { format: bchaddr.Format.Bitpay, network: bchaddr.Network.Testnet })
+      assert.isNull(results[0].output)
+      assert.isNull(results[0].format)
+      assert.instanceOf(results[0].error, bchaddr.UnsupportedConversionError)
+    })
+    it('should fail when not given an array', function () {
+      assert.throws(function () {
+        bchaddr.convertAddresses('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR')
+      }, TypeError)
+    })
+    it('should fail on unknown formats and networks', function () {
+      [{ format: 'segwit' }, { network: 'signet' }, { network: 'constructor' }].forEach(function (options) {
+        assert.throws(function () {
+          bchaddr.convertAddresses(INPUTS, options)
+        }, TypeError)
+      })
+    })
+  })
+
+  describe('#convertAddressesAsync()', function () {
+    it('should return the same results as convertAddresses', function () {
+      var inputs = []
+      for (var i = 0; i < 50; ++i) {
+        inputs.push(i % 3 ? LEGACY_ADDRESSES[i % LEGACY_ADDRESSES.length] : 'invalid ' + i)
+      }
+      var options = { format: bchaddr.Format.Cashaddr, chunkSize: 7 }
+      return bchaddr.convertAddressesAsync(inputs, options).then(function (results) {
+        var expected = bchaddr.convertAddresses(inputs, options)
+        assert.strictEqual(results.length, expected.length)
+        results.forEach(function (result, i) {
+          assert.strictEqual(result.output, expected[i].output)
+          assert.strictEqual(result.error && result.error.message, expected[i].error && expected[i].error.message)
+        })
+      })
+    })
+    it('should reject when not given an array', function () {
+      return bchaddr.convertAddressesAsync().then(function () {
+        assert.fail('Expected the conversion to be rejected.')
+      }, function (error) {
+        assert.instanceOf(error, TypeError)
+      })
+    })
+    it('should reject unknown formats and networks', function () {
+      var cases = [
+        { format: 'segwit' },
+        { network: 'constructor', format: bchaddr.Format.Cashaddr, chunkSize: 1 }
+      ]
+      return Promise.all(cases.map(function (options) {
+        return bchaddr.convertAddressesAsync(['nope', LEGACY_ADDRESSES[0]], options).then(function () {
+          assert.fail('Expected the conversion to be rejected.')
+        }, function (error) {
+          assert.instanceOf(error, TypeError)
+        })
+      }))
+    })
+    it('should reject chunk sizes other than positive integers', function () {
+      return Promise.all([0, -1, 1.5, NaN, '10', null].map(function (chunkSize) {
+        return bchaddr.convertAddressesAsync(LEGACY_ADDRESSES, { chunkSize: chunkSize }).then(function () {
+          assert.fail('Expected the conversion to be rejected for chunk size ' + chunkSize + '.')
+        }, function (error) {
+          assert.instanceOf(error, TypeError)
+        })
+      }))
+    })
+  })
+
+  describe('decoding options', function () {
+    var CASHADDR = 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+    var TESTNET_CASHADDR = 'bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2'
+    var P2SH_CASHADDR = 'bitcoincash:ppm2qsznhks23z7629mms6s4cwef74vcwvn0h829pq'
+    var BITPAY = 'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj'
+    function decodeError (address, options) {
+      try {
+        bchaddr.decodeAddress(address, options)
+      } catch (error) {
+        assert.instanceOf(error, bchaddr.InvalidAddressError)
+        assert.isFalse(bchaddr.isValidAddress(address, options))
+        return error
+      }
+      assert.fail('Expected ' + address + ' to be rejected.')
+    }
+    it('should accept addresses satisfying every option', function () {
+      var options = {
+        requirePrefix: true,
+        network: bchaddr.Network.Mainnet,
+        formats: [bchaddr.Format.Cashaddr, bchaddr.Format.Legacy],
+        types: [bchaddr.Type.P2PKH]
+      }
+      assert.isTrue(bchaddr.isValidAddress(CASHADDR, options))
+      assert.isTrue(bchaddr.isValidAddress('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', options))
+      assert.strictEqual(bchaddr.toLegacyAddress(CASHADDR, options), '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR')
+    })
+    it('should reject cashaddr-based addresses without prefix when a prefix is required', function () {
+      var error = decodeError(CASHADDR.split(':')[1], { requirePrefix: true })
+      assert.strictEqual(error.code, bchaddr.ErrorCode.MissingPrefix)
+      assert.strictEqual(error.format, bchaddr.Format.Cashaddr)
+      assert.isTrue(bchaddr.isValidAddress(BITPAY, { requirePrefix: true }))
+    })
+    it('should reject addresses from other networks', function () {
+      var error = decodeError(TESTNET_CASHADDR, { network: bchaddr.Network.Mainnet })
+      assert.strictEqual(error.code, bchaddr.ErrorCode.UnexpectedNetwork)
+    })
+    it('should reject addresses in other formats', function () {
+      var error = decodeError(BITPAY, { formats: [bchaddr.Format.Cashaddr, bchaddr.Format.Legacy] })
+      assert.strictEqual(error.code, bchaddr.ErrorCode.UnexpectedFormat)
+      assert.strictEqual(error.format, bchaddr.Format.Bitpay)
+    })
+    it('should reject addresses of other types', function () {
+      var error = decodeError(P2SH_CASHADDR, { types: [bchaddr.Type.P2PKH] })
+      assert.strictEqual(error.code, bchaddr.ErrorCode.UnexpectedType)
+    })
+    it('should be taken by every translation function', function () {
+      [
+        bchaddr.toLegacyAddress,
+        bchaddr.toBitpayAddress,
+        bchaddr.toCashAddress,
+        bchaddr.toSlpAddress,
+        bchaddr.toEcashAddress,
+        bchaddr.toMainnetAddress,
+        bchaddr.toTestnetAddress,
+        bchaddr.toRegtestAddress,
+        bchaddr.toSlpRegtestAddress,
+        bchaddr.toTokenAwareAddress,
+        bchaddr.toNonTokenAddress
+      ].forEach(function (translate) {
+        assert.throws(function () {
+          translate(TESTNET_CASHADDR, { network: bchaddr.Network.Mainnet })
+        }, bchaddr.InvalidAddressError)
+      })
+    })
+    describe('with ambiguous prefixes', function () {
+      // The checksum only takes the lower five bits of each prefix character, so 'p' and '0' are interchangeable.
+      // The registry cannot be reset, so these networks stay registered for the suites which follow.
+      before(function () {
+        bchaddr.registerNetwork({ name: 'ambiguousnet', cashaddrPrefix: 'bchambp' })
+        bchaddr.registerNetwork({ name: 'ambiguousnet0', cashaddrPrefix: 'bchamb0' })
+      })
+      it('should report addresses without prefix valid under more than one prefix as ambiguous', function () {
+        var decoded = bchaddr.decodeAddress(CASHADDR)
+        decoded.network = 'ambiguousnet'
+        var address = bchaddr.encodeAsCashaddr(decoded)
+        assert.strictEqual(bchaddr.detectAddressNetwork(address), 'ambiguousnet')
+        var error = decodeError(address.split(':')[1])
+        assert.strictEqual(error.code, bchaddr.ErrorCode.AmbiguousPrefix)
+      })
+    })
+  })
+
+  describe('output options', function () {
+    var LEGACY = '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+    it('should leave out the prefix', function () {
+      assert.strictEqual(bchaddr.toCashAddress(LEGACY, { includePrefix: false }), 'qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk')
+      assert.strictEqual(bchaddr.toSlpAddress(LEGACY, { includePrefix: false }), 'qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg')
+      assert.strictEqual(bchaddr.toTestnetAddress(LEGACY, { includePrefix: false }), 'qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2')
+    })
+    it('should encode uppercase addresses', function () {
+      assert.strictEqual(bchaddr.toCashAddress(LEGACY, { case: 'upper' }), 'BITCOINCASH:QPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7C5F6JDPWK')
+      assert.strictEqual(bchaddr.toTokenAwareAddress(LEGACY, { case: 'upper', includePrefix: false }), 'ZPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7CNRFVR839')
+      assert.strictEqual(bchaddr.toCashAddress(LEGACY, { case: 'lower' }), 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk')
+    })
+    it('should fail on unsupported letter cases', function () {
+      assert.throws(function () {
+        bchaddr.toCashAddress(LEGACY, { case: 'mixed' })
+      }, TypeError)
+    })
+    it('should decode uppercase addresses with and without prefix', function () {
+      ['BITCOINCASH:QPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7C5F6JDPWK', 'QPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7C5F6JDPWK'].forEach(function (address) {
+        assert.strictEqual(bchaddr.toLegacyAddress(address), LEGACY)
+      })
+      assert.strictEqual(bchaddr.detectAddressFormat('QPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7CCJ3FCPSG'), bchaddr.Format.Slpaddr)
+    })
+    it('should still reject mixed case addresses', function () {
+      ['bitcoincash:QPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7C5F6JDPWK', 'QPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7C5F6JDPWk'].forEach(function (address) {
+        try {
+          bchaddr.decodeAddress(address)
+          assert.fail('Expected ' + address + ' to be invalid.')
+        } catch (error) {
+          assert.strictEqual(error.code, bchaddr.ErrorCode.MixedCase)
+          assert.strictEqual(error.format, bchaddr.Format.Cashaddr)
+        }
+      })
+    })
+  })
+
+  describe('decoder dispatch', function () {
+    it('should decode every cashaddr-based format without prefix', function () {
+      SLPADDR_ADDRESSES.forEach(function (address, i) {
+        var decoded = bchaddr.decodeAddress(address.split(':')[1])
+        assert.strictEqual(decoded.format, bchaddr.Format.Slpaddr)
+        assert.strictEqual(decoded.network, bchaddr.detectAddressNetwork(CASHADDR_ADDRESSES[i]))
+      })
+      assert.strictEqual(bchaddr.detectAddressFormat('qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg'), bchaddr.Format.Slpaddr)
+    })
+    it('should still report the failure of every decoder', function () {
+      try {
+        bchaddr.decodeAddress('qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsq')
+        assert.fail('Expected the address to be invalid.')
+      } catch (error) {
+        assert.strictEqual(error.code, bchaddr.ErrorCode.InvalidChecksum)
+        assert.hasAllKeys(error.errors, ['base58', 'cashaddr', 'slpaddr', 'ecash', 'etoken'])
+      }
+    })
+  })
+
+  describe('#setDecodeCacheSize()', function () {
+    it('should give the same results with the cache enabled', function () {
+      bchaddr.setDecodeCacheSize(2)
+      for (var i = 0; i < 3; ++i) {
+        LEGACY_ADDRESSES.forEach(function (address, j) {
+          assert.strictEqual(bchaddr.toCashAddress(address), CASHADDR_ADDRESSES[j])
+          assert.strictEqual(bchaddr.isValidAddress(address), true)
+        })
+        assert.strictEqual(bchaddr.isValidAddress('some invalid address'), false)
+        assert.throws(function () {
+          bchaddr.toCashAddress('some invalid address')
+        }, bchaddr.InvalidAddressError)
+      }
+      bchaddr.setDecodeCacheSize(0)
+    })
+    it('should not let callers modify cached addresses', function () {
+      bchaddr.setDecodeCacheSize(10)
+      var decoded = bchaddr.decodeAddress(LEGACY_ADDRESSES[0])
+      decoded.network = bchaddr.Network.Testnet
+      decoded.hash[0] ^= 1
+      assert.strictEqual(bchaddr.toCashAddress(LEGACY_ADDRESSES[0]), CASHADDR_ADDRESSES[0])
+      decoded = bchaddr.decodeAddress(LEGACY_ADDRESSES[0])
+      decoded.hash[0] ^= 1
+      assert.strictEqual(bchaddr.toCashAddress(LEGACY_ADDRESSES[0]), CASHADDR_ADDRESSES[0])
+      bchaddr.setDecodeCacheSize(0)
+    })
+    it('should fail on invalid sizes', function () {
+      [-1, 1.5, '10', undefined].forEach(function (size) {
+        assert.throws(function () {
+          bchaddr.setDecodeCacheSize(size)
+        }, TypeError)
+      })
+    })
+  })
+
   describe('cashaddr prefix detection', function () {
     it('should return the same result for detectAddressFormat', function () {
       assert.deepEqual(
@@ -935,9 +2543,12 @@ describe('bchaddr', function () {
       )
     })
     it('should return the same result for toBitpayAddress', function () {
+      var addresses = flatten([CASHADDR_MAINNET_P2PKH_ADDRESSES, CASHADDR_MAINNET_P2SH_ADDRESSES])
       assert.deepEqual(
-        CASHADDR_ADDRESSES_NO_PREFIX.map(bchaddr.toBitpayAddress),
-        CASHADDR_ADDRESSES.map(bchaddr.toBitpayAddress)
+        addresses.map(function (address) {
+          return bchaddr.toBitpayAddress(address.split(':')[1])
+        }),
+        addresses.map(bchaddr.toBitpayAddress)
       )
     })
     it('should return the same result for isLegacyAddress', function () {
@@ -0,0 +1,203 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var assert = require('chai').assert
+var childProcess = require('child_process')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var shell = require('shelljs')
+
+describe('bchaddr bin', function () {
+  this.timeout(10000)
+
+  var LEGACY = '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+  var CASHADDR = 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+  var SLPADDR_TESTNET = 'slptest:qph5kuz78czq00e3t85ugpgd7xmer5kr7ct0ew4pmh'
+  var BITPAY = 'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj'
+
+  function run (args, input) {
+    var result = childProcess.spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'bchaddr.js')].concat(args), {
+      input: input || '',
+      encoding: 'utf8'
+    })
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr }
+  }
+
+  describe('detect', function () {
+    it('should print the format, network and type of each argument', function () {
+      var result = run(['detect', LEGACY, CASHADDR, BITPAY])
+      assert.strictEqual(result.status, 0)
+      assert.strictEqual(result.stdout, 'legacy mainnet p2pkh\ncashaddr mainnet p2pkh\nbitpay mainnet p2pkh\n')
+      assert.strictEqual(result.stderr, '')
+    })
+
+    it('should exit with status 1 and report invalid addresses', function () {
+      var result = run(['detect', LEGACY, 'nope'])
+      assert.strictEqual(result.status, 1)
+      assert.strictEqual(result.stdout, 'legacy mainnet p2pkh\n')
+      assert.match(result.stderr, /^bchaddr: nope: /)
+    })
+  })
+
+  describe('convert', function () {
+    it('should translate addresses read from stdin, skipping blank lines', function () {
+      var result = run(['convert', '--to', 'cashaddr'], LEGACY + '\n\n' + BITPAY + '\n')
+      assert.strictEqual(result.status, 0)
+      assert.strictEqual(result.stdout, CASHADDR + '\n' + CASHADDR + '\n')
+    })
+
+    it('should accept the slp alias and a target network', function () {
+      var result = run(['convert', '--to=slp', '--network=testnet', CASHADDR])
+      assert.strictEqual(result.status, 0)
+      assert.strictEqual(result.stdout, SLPADDR_TESTNET + '\n')
+    })
+
+    it('should exit with status 1 on unsupported conversions', function () {
+      var result = run(['convert', '--to', 'etoken', '--network', 'testnet', LEGACY])
+      assert.strictEqual(result.status, 1)
+      assert.strictEqual(result.stdout, '')
+      assert.match(result.stderr, /^bchaddr: 1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR: /)
+    })
+  })
+
+  describe('validate', function () {
+    it('should print whether each address is valid', function () {
+      var result = run(['validate'], LEGACY + '\nnope\n')
+      assert.strictEqual(result.status, 1)
+      assert.strictEqual(result.stdout, 'valid\ninvalid\n')
+    })
+  })
+
+  describe('--json', function () {
+    it('should print one JSON object per address', function () {
+      var result = run(['convert', '--to', 'legacy', '--json', CASHADDR, 'nope'])
+      assert.strictEqual(result.status, 1)
+      var lines = result.stdout.trim().split('\n').map(function (line) {
+        return JSON.parse(line)
+      })
+      assert.deepEqual(lines[0], { input: CASHADDR, output: LEGACY })
+      assert.strictEqual(lines[1].input, 'nope')
+      assert.isString(lines[1].error.code)
+      assert.isString(lines[1].error.message)
+    })
+
+    it('should report validity in JSON objects', function () {
+      var result = run(['validate', '--json', LEGACY])
+      assert.strictEqual(result.status, 0)
+      assert.deepEqual(JSON.parse(result.stdout), { input: LEGACY, valid: true })
+    })
+  })
+
+  describe('--column', function () {
+    var CSV = 'name,address,amount\nalice,' + LEGACY + ',1\nbob,"' + CASHADDR + '",2\n'
+
+    it('should replace the given column with converted addresses', function () {
+      var result = run(['convert', '--to', 'cashaddr', '--column', '2', '--header'], CSV)
+      assert.strictEqual(result.status, 0)
+      assert.strictEqual(result.stdout, 'name,address,amount\nalice,' + CASHADDR + ',1\nbob,"' + CASHADDR + '",2\n')
+    })
+
+    it('should append detected fields to each line', function () {
+      var result = run(['detect', '--column', '2', '--header'], CSV + 'carol,nope,3\n')
+      assert.strictEqual(result.status, 1)
+      assert.strictEqual(result.stdout, [
+        'name,address,amount,format,network,type',
+        'alice,' + LEGACY + ',1,legacy,mainnet,p2pkh',
+        'bob,"' + CASHADDR + '",2,cashaddr,mainnet,p2pkh',
+        'carol,nope,3,,,'
+      ].join('\n') + '\n')
+    })
+
+    it('should keep trailing empty fields', function () {
+      var converted = run(['convert', '--to', 'slp', '--column', '2'], 'bob,' + LEGACY + ',\n')
+      assert.strictEqual(converted.stdout, 'bob,simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg,\n')
+      var detected = run(['detect', '--column', '2'], 'a,' + LEGACY + ',,\n')
+      assert.strictEqual(detected.stdout, 'a,' + LEGACY + ',,,legacy,mainnet,p2pkh\n')
+    })
+  })
+
+  describe('migrate', function () {
+    function withFile (text, fn) {
+      var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bchaddr-bin-'))
+      var file = path.join(directory, 'config.toml')
+      try {
+        fs.writeFileSync(file, text)
+        fn(file)
+      } finally {
+        shell.rm('-rf', directory)
+      }
+    }
+
+    it('should show the changes and write nothing unless confirmed', function () {
+      withFile('to = "' + LEGACY + '"\n', function (file) {
+        var result = run(['migrate', '--to', 'slp', file], 'n\n')
+        assert.strictEqual(result.status, 0)
+        assert.strictEqual(result.stdout, [
+          '--- ' + file,
+          '+++ ' + file,
+          '@@ -1,1 +1,1 @@',
+          '-to = "' + LEGACY + '"',
+          '+to = "simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg"'
+        ].join('\n') + '\n')
+        assert.strictEqual(result.stderr, 'Migrate 1 address in 1 file? [y/N] Nothing migrated.\n')
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'to = "' + LEGACY + '"\n')
+      })
+    })
+
+    it('should write the changes once confirmed', function () {
+      withFile('to = "' + LEGACY + '"\n', function (file) {
+        var result = run(['migrate', '--to', 'cashaddr', file], 'y\n')
+        assert.strictEqual(result.status, 0)
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'to = "' + CASHADDR + '"\n')
+      })
+    })
+
+    it('should write the changes without asking given --yes, and report unclassified addresses', function () {
+      withFile(BITPAY + '\n1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzr\n', function (file) {
+        var result = run(['migrate', '--to', 'cashaddr', '--yes', file])
+        assert.strictEqual(result.status, 1)
+        assert.match(result.stderr, /^bchaddr: .*config\.toml:2:1: 1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzr: /)
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), CASHADDR + '\n1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzr\n')
+      })
+    })
+  })
+
+  describe('usage', function () {
+    it('should print usage on --help', function () {
+      var result = run(['--help'])
+      assert.strictEqual(result.status, 0)
+      assert.match(result.stdout, /^Usage: bchaddr/)
+    })
+
+    it('should exit with status 2 on usage errors', function () {
+      [
+        [],
+        ['frob'],
+        ['convert', LEGACY],
+        ['convert', '--to', 'foo', LEGACY],
+        ['convert', '--to', 'legacy', '--network', 'foo', LEGACY],
+        ['migrate', '--to', 'cashaddr', '--network', 'foo', 'config.toml'],
+        ['detect', '--to', 'legacy', LEGACY],
+        ['detect', '--column', '0'],
+        ['detect', '--json', '--column', '1'],
+        ['detect', '--header'],
+        ['detect', '--verbose'],
+        ['detect', '--yes', LEGACY],
+        ['migrate', '--to', 'cashaddr'],
+        ['migrate', '--to', 'legacy', 'config.toml'],
+        ['migrate', '--to', 'cashaddr', '--json', 'config.toml']
+      ].forEach(function (args) {
+        var result = run(args)
+        assert.strictEqual(result.status, 2, args.join(' '))
+        assert.strictEqual(result.stdout, '')
+        assert.match(result.stderr, /^bchaddr: .*\n\nUsage: bchaddr/)
+      })
+    })
+  })
+})
@@ -0,0 +1,129 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var assert = require('chai').assert
+var cashaddr = require('../src/cashaddr')
+
+describe('cashaddr', function () {
+  var HASH = Uint8Array.from([
+    252, 145, 111, 33, 58, 61, 127, 19, 105, 49,
+    61, 95, 163, 15, 97, 104, 249, 68, 106, 45
+  ])
+
+  var ADDRESSES = {
+    P2PKH: 'bitcoincash:qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsl',
+    P2SH: 'bitcoincash:pr7fzmep8g7h7ymfxy74lgc0v950j3r295j62yp9tz',
+    P2PKHWithTokens: 'bitcoincash:zr7fzmep8g7h7ymfxy74lgc0v950j3r295z4y4gq0v',
+    P2SHWithTokens: 'bitcoincash:rr7fzmep8g7h7ymfxy74lgc0v950j3r2954se60r53'
+  }
+
+  describe('#encode()', function () {
+    it('should encode every address type correctly', function () {
+      Object.keys(ADDRESSES).forEach(function (type) {
+        assert.strictEqual(cashaddr.encode('bitcoincash', type, HASH), ADDRESSES[type])
+      })
+    })
+    it('should encode 32-byte hashes', function () {
+      var hash = new Uint8Array(32).fill(7)
+      assert.strictEqual(
+        cashaddr.encode('bchtest', 'P2SH', hash),
+        'bchtest:pvrswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qursw3hlfgkw4'
+      )
+    })
+    it('should fail on invalid input', function () {
+      assert.throws(function () {
+        cashaddr.encode('bitcoin:cash', 'P2PKH', HASH)
+      }, cashaddr.ValidationError)
+      assert.throws(function () {
+        cashaddr.encode('bitcoincash', 'P2WPKH', HASH)
+      }, cashaddr.ValidationError)
+      assert.throws(function () {
+        cashaddr.encode('bitcoincash', 'P2PKH', HASH.subarray(1))
+      }, cashaddr.ValidationError)
+      assert.throws(function () {
+        cashaddr.encode('bitcoincash', 'P2PKH', Array.from(HASH))
+      }, cashaddr.ValidationError)
+    })
+  })
+
+  describe('#decode()', function () {
+    it('should decode every address type correctly', function () {
+      Object.keys(ADDRESSES).forEach(function (type) {
+        var decoded = cashaddr.decode(ADDRESSES[type])
+        assert.strictEqual(decoded.prefix, 'bitcoincash')
+        assert.strictEqual(decoded.type, type)
+        assert.deepEqual(decoded.hash, HASH)
+      })
+    })
+    it('should decode uppercase addresses', function () {
+      var decoded = cashaddr.decode(ADDRESSES.P2PKH.toUpperCase())
+      assert.strictEqual(decoded.prefix, 'bitcoincash')
+      assert.deepEqual(decoded.hash, HASH)
+    })
+    it('should fail on invalid input', function () {
+      [
+        undefined,
+        'qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsl',
+        'bitcoincash:Qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsl',
+        'bitcoincash:qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsq',
+        'bchtest:qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsl',
+        'bitcoincash:qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsb'
+      ].forEach(function (address) {
+        assert.throws(function () {
+          cashaddr.decode(address)
+        }, cashaddr.ValidationError)
+      })
+    })
+    it('should report the reason of the failure', function () {
+      var codes = {
+        'bitcoincash:Qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsl': cashaddr.ErrorCode.MixedCase,
+        'bitcoincash:qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsb': cashaddr.ErrorCode.InvalidCharacter,
+        'bitcoincash:qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsq': cashaddr.ErrorCode.InvalidChecksum,
+        'qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsl': cashaddr.ErrorCode.InvalidPrefix
+      }
+      Object.keys(codes).forEach(function (address) {
+        try {
+          cashaddr.decode(address)
+          assert.fail('Expected ' + address + ' to be invalid.')
+        } catch (error) {
+          assert.strictEqual(error.code, codes[address])
+        }
+      })
+    })
+  })
+  describe('#findPrefixes()', function () {
+    it('should return the prefixes for which the checksum is valid', function () {
+      var payload = ADDRESSES.P2PKH.slice('bitcoincash:'.length)
+      assert.deepEqual(cashaddr.findPrefixes(payload, ['bchtest', 'bitcoincash', 'bchreg']), ['bitcoincash'])
+      assert.deepEqual(cashaddr.findPrefixes(payload, ['bchtest', 'bchreg']), [])
+    })
+    it('should return no prefixes for malformed payloads', function () {
+      assert.deepEqual(cashaddr.findPrefixes('Qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsl', ['bitcoincash']), [])
+      assert.deepEqual(cashaddr.findPrefixes('qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsb', ['bitcoincash']), [])
+    })
+  })
+
+  describe('#findCorrections()', function () {
+    function substitute (address, position, character) {
+      return address.slice(0, position) + character + address.slice(position + 1)
+    }
+    it('should correct up to two substituted characters', function () {
+      var address = ADDRESSES.P2SHWithTokens
+      var corrections = cashaddr.findCorrections(substitute(address, 12, 'q'))
+      assert.deepEqual(corrections, [{ address: address, positions: [12] }])
+      corrections = cashaddr.findCorrections(substitute(substitute(address, 14, 'b'), 50, 'x'))
+      assert.include(corrections.map(function (correction) {
+        return correction.address
+      }), address)
+    })
+    it('should return no corrections for valid or malformed addresses', function () {
+      assert.deepEqual(cashaddr.findCorrections(ADDRESSES.P2PKH), [])
+      assert.deepEqual(cashaddr.findCorrections('bitcoincash:qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtbbbb'), [])
+    })
+  })
+})
@@ -0,0 +1,72 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var assert = require('chai').assert
+var hash = require('../src/hash')
+
+describe('hash', function () {
+  function fromText (text) {
+    return Uint8Array.from(text.split('').map(function (character) {
+      return character.charCodeAt(0)
+    }))
+  }
+
+  function toHex (bytes) {
+    return Array.prototype.map.call(bytes, function (byte) {
+      return (byte < 16 ? '0' : '') + byte.toString(16)
+    }).join('')
+  }
+
+  var MESSAGES = [
+    '',
+    'abc',
+    'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq',
+    new Array(9).join('1234567890')
+  ]
+
+  describe('#sha256()', function () {
+    it('should match the reference test vectors', function () {
+      assert.deepEqual(MESSAGES.map(fromText).map(hash.sha256).map(toHex), [
+        'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+        '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1',
+        'f371bc4a311f2b009eef952dd83ca80e2b60026c8e935592d0f9c308453c813e'
+      ])
+    })
+  })
+
+  describe('#ripemd160()', function () {
+    it('should match the reference test vectors', function () {
+      assert.deepEqual(MESSAGES.map(fromText).map(hash.ripemd160).map(toHex), [
+        '9c1185a5c5e9fc54612808977ee8f548b2258d31',
+        '8eb208f7e05d987a9b044a8e98c6b087f15a0bfc',
+        '12a053384a9c0c88e405a06c27dcf49ada62eb2b',
+        '9b752e45573d4b39f4dbd3323cab82bf63326bfb'
+      ])
+    })
+  })
+
+  describe('#hash160()', function () {
+    it('should hash a public key into its P2PKH hash', function () {
+      var publicKey = Uint8Array.from([
+        0x02, 0x79, 0xbe, 0x66, 0x7e, 0xf9, 0xdc, 0xbb, 0xac, 0x55, 0xa0, 0x62, 0x95, 0xce, 0x87, 0x0b, 0x07,
+        0x02, 0x9b, 0xfc, 0xdb, 0x2d, 0xce, 0x28, 0xd9, 0x59, 0xf2, 0x81, 0x5b, 0x16, 0xf8, 0x17, 0x98
+      ])
+      assert.strictEqual(toHex(hash.hash160(publicKey)), '751e76e8199196d454941c45d1b3a323f1433bd6')
+    })
+  })
+
+  describe('#sha256d()', function () {
+    it('should hash twice with sha256', function () {
+      assert.strictEqual(
+        toHex(hash.sha256d(fromText('abc'))),
+        '4f8b42c22dd3729b519ba6f68d2da7cc5b2d606d05daed5ad5128cc03e6c6358'
+      )
+    })
+  })
+})
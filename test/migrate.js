@@ -0,0 +1,182 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var assert = require('chai').assert
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var shell = require('shelljs')
+var migrate = require('../src/migrate')
+
+describe('migrate', function () {
+  var LEGACY = '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+  var LEGACY_TESTNET = 'mqfRfwGeZnFwfFE7KWJjyg6Yx212iGi6Fi'
+  var BITPAY = 'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj'
+  var CASHADDR = 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+  var CASHADDR_TESTNET = 'bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2'
+  var SLPADDR = 'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg'
+
+  function withDirectory (files, fn) {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bchaddr-migrate-'))
+    try {
+      Object.keys(files).forEach(function (name) {
+        shell.mkdir('-p', path.dirname(path.join(directory, name)))
+        fs.writeFileSync(path.join(directory, name), files[name])
+      })
+      fn(directory)
+    } finally {
+      shell.rm('-rf', directory)
+    }
+  }
+
+  describe('#migrateText()', function () {
+    it('should rewrite legacy and bitpay addresses, preserving the surrounding text', function () {
+      var text = 'payout:\r\n  to: "' + LEGACY + '"  # main\r\n  backup: ' + BITPAY + '\r\n  cold: ' + CASHADDR + '\r\n'
+      var result = migrate.migrateText(text)
+      assert.strictEqual(result.text, 'payout:\r\n  to: "' + CASHADDR + '"  # main\r\n  backup: ' + CASHADDR + '\r\n  cold: ' + CASHADDR + '\r\n')
+      assert.deepEqual(result.changes, [
+        { address: LEGACY, replacement: CASHADDR, line: 2, column: 8 },
+        { address: BITPAY, replacement: CASHADDR, line: 3, column: 11 }
+      ])
+      assert.deepEqual(result.unclassified, [])
+    })
+
+    it('should migrate into slpaddr format and keep networks', function () {
+      assert.strictEqual(migrate.migrateText(LEGACY + ' ' + LEGACY_TESTNET, { format: 'slpaddr' }).text,
+        SLPADDR + ' slptest:qph5kuz78czq00e3t85ugpgd7xmer5kr7ct0ew4pmh')
+      assert.strictEqual(migrate.migrateText(LEGACY_TESTNET).text, CASHADDR_TESTNET)
+    })
+
+    it('should migrate into the given network', function () {
+      assert.strictEqual(migrate.migrateText(LEGACY, { network: 'testnet' }).text, CASHADDR_TESTNET)
+    })
+
+    it('should find addresses after a colon', function () {
+      assert.strictEqual(migrate.migrateText('address:' + LEGACY).text, 'address:' + CASHADDR)
+    })
+
+    it('should rewrite base58 addresses behind a known prefix along with the prefix', function () {
+      var result = migrate.migrateText('uri: bitcoincash:' + LEGACY + '?amount=1\nother: BITCOINCASH:' + BITPAY)
+      assert.strictEqual(result.text, 'uri: ' + CASHADDR + '?amount=1\nother: ' + CASHADDR)
+      assert.deepEqual(result.changes, [
+        { address: 'bitcoincash:' + LEGACY, replacement: CASHADDR, line: 1, column: 6 },
+        { address: 'BITCOINCASH:' + BITPAY, replacement: CASHADDR, line: 2, column: 8 }
+      ])
+      assert.strictEqual(migrate.migrateText('bchtest:' + LEGACY_TESTNET).text, CASHADDR_TESTNET)
+    })
+
+    it('should leave addresses within URLs alone', function () {
+      var text = 'see https://explorer.example/address/' + LEGACY + '?x=1 or "https://x.io/a", "' + LEGACY + '"'
+      var result = migrate.migrateText(text)
+      assert.strictEqual(result.text, 'see https://explorer.example/address/' + LEGACY + '?x=1 or "https://x.io/a", "' + CASHADDR + '"')
+      assert.strictEqual(result.changes.length, 1)
+    })
+
+    it('should report tokens which look like addresses but are invalid', function () {
+      var text = 'a = 1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzr\nb = bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwx\n'
+      var result = migrate.migrateText(text)
+      assert.strictEqual(result.text, text)
+      assert.deepEqual(result.unclassified.map(function (entry) {
+        return [entry.address, entry.line, entry.column]
+      }), [
+        ['1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzr', 1, 5],
+        ['bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwx', 2, 5]
+      ])
+      result.unclassified.forEach(function (entry) {
+        assert.isString(entry.message)
+      })
+    })
+
+    it('should leave other tokens alone', function () {
+      var text = 'hash: 6f4b705e3e0407bf3159e9c4050df1b791d2c3f6\nname: some_rather_long_identifier_here\n'
+      assert.deepEqual(migrate.migrateText(text), { text: text, changes: [], unclassified: [] })
+    })
+
+    it('should fail on invalid input', function () {
+      assert.throws(function () {
+        migrate.migrateText(42)
+      }, TypeError)
+      assert.throws(function () {
+        migrate.migrateText(LEGACY, { format: 'bitpay' })
+      }, TypeError)
+    })
+  })
+
+  describe('#planMigration()', function () {
+    it('should scan files and directories without writing', function () {
+      withDirectory({
+        'a.toml': 'to = "' + LEGACY + '"\n',
+        'sub/b.json': '{"to": "' + BITPAY + '"}',
+        'sub/c.txt': 'nothing here',
+        'node_modules/d.json': LEGACY,
+        '.git/e': LEGACY
+      }, function (directory) {
+        var plan = migrate.planMigration([directory])
+        assert.deepEqual(plan.map(function (file) {
+          return path.relative(directory, file.path)
+        }), ['a.toml', path.join('sub', 'b.json')])
+        assert.strictEqual(plan[0].original, 'to = "' + LEGACY + '"\n')
+        assert.strictEqual(plan[0].text, 'to = "' + CASHADDR + '"\n')
+        assert.strictEqual(plan[1].changes.length, 1)
+        assert.strictEqual(fs.readFileSync(path.join(directory, 'a.toml'), 'utf8'), 'to = "' + LEGACY + '"\n')
+      })
+    })
+
+    it('should include files with unclassified addresses only', function () {
+      withDirectory({ 'a.txt': '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzr' }, function (directory) {
+        var plan = migrate.planMigration([path.join(directory, 'a.txt')])
+        assert.strictEqual(plan.length, 1)
+        assert.strictEqual(plan[0].changes.length, 0)
+        assert.strictEqual(plan[0].unclassified.length, 1)
+      })
+    })
+
+    it('should fail on invalid input', function () {
+      assert.throws(function () {
+        migrate.planMigration('config')
+      }, TypeError)
+    })
+  })
+
+  describe('#formatMigrationDiff()', function () {
+    it('should show every changed line', function () {
+      var plan = [
+        { path: 'a.toml', original: 'x = 1\nto = "' + LEGACY + '"\n', text: 'x = 1\nto = "' + CASHADDR + '"\n', changes: [{}], unclassified: [] },
+        { path: 'b.txt', original: 'x', text: 'x', changes: [], unclassified: [{}] }
+      ]
+      assert.strictEqual(migrate.formatMigrationDiff(plan), [
+        '--- a.toml',
+        '+++ a.toml',
+        '@@ -2,1 +2,1 @@',
+        '-to = "' + LEGACY + '"',
+        '+to = "' + CASHADDR + '"'
+      ].join('\n') + '\n')
+    })
+  })
+
+  describe('#applyMigration()', function () {
+    it('should write migrated files', function () {
+      withDirectory({ 'a.toml': 'to = "' + LEGACY + '"\n', 'b.txt': '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzr' }, function (directory) {
+        var written = migrate.applyMigration(migrate.planMigration([directory]))
+        assert.deepEqual(written, [path.join(directory, 'a.toml')])
+        assert.strictEqual(fs.readFileSync(path.join(directory, 'a.toml'), 'utf8'), 'to = "' + CASHADDR + '"\n')
+      })
+    })
+
+    it('should not write anything if a file changed since planning', function () {
+      withDirectory({ 'a.toml': LEGACY, 'b.toml': BITPAY }, function (directory) {
+        var plan = migrate.planMigration([directory])
+        fs.writeFileSync(path.join(directory, 'b.toml'), BITPAY + '\n')
+        assert.throws(function () {
+          migrate.applyMigration(plan)
+        }, Error, 'File modified since the migration was planned')
+        assert.strictEqual(fs.readFileSync(path.join(directory, 'a.toml'), 'utf8'), LEGACY)
+      })
+    })
+  })
+})
@@ -0,0 +1,108 @@
+/***
+ * @license
+ * https://github.com/bitcoincashjs/bchaddr
+ * Copyright (c) 2018 Emilio Almansi
+ * Distributed under the MIT software license, see the accompanying
+ * file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+ */
+
+var assert = require('chai').assert
+var childProcess = require('child_process')
+var path = require('path')
+var constants = require('../src/constants')
+var errors = require('../src/errors')
+var networks = require('../src/networks')
+var prefixed = require('../src/prefixed')
+
+describe('prefixed', function () {
+  var Format = constants.Format
+  var Network = constants.Network
+  var Type = constants.Type
+  var ErrorCode = constants.ErrorCode
+
+  var HASH = [
+    111, 75, 112, 94, 62, 4, 7, 191, 49, 89,
+    233, 196, 5, 13, 241, 183, 145, 210, 195, 246
+  ]
+
+  var CASHADDR = 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+  var SLPADDR = 'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg'
+  var CASHADDR_TESTNET = 'bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2'
+
+  describe('#decodePrefixedAddress()', function () {
+    it('should decode addresses with and without prefix', function () {
+      [CASHADDR, CASHADDR.split(':')[1], CASHADDR.toUpperCase()].forEach(function (address) {
+        assert.deepEqual(prefixed.decodePrefixedAddress(address), {
+          hash: HASH,
+          format: Format.Cashaddr,
+          network: Network.Mainnet,
+          type: Type.P2PKH,
+          subtype: constants.Subtype.P2PKH,
+          hashSize: 20,
+          tokenSupport: false
+        })
+      })
+      assert.strictEqual(prefixed.decodePrefixedAddress(SLPADDR).format, Format.Slpaddr)
+      assert.strictEqual(prefixed.decodePrefixedAddress(CASHADDR_TESTNET.split(':')[1]).network, Network.Testnet)
+    })
+
+    it('should fail on invalid addresses with a specific code', function () {
+      var cases = [
+        [42, ErrorCode.InvalidInput],
+        ['', ErrorCode.InvalidInput],
+        ['bitcoin:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk', ErrorCode.UnknownPrefix],
+        ['bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwx', ErrorCode.InvalidChecksum],
+        ['qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwx', ErrorCode.InvalidChecksum],
+        ['qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwK', ErrorCode.MixedCase],
+        ['1b9untbfkkpgt8kvbwln9kte62qknmbdzr', ErrorCode.InvalidCharacter]
+      ]
+      cases.forEach(function (testCase) {
+        assert.throws(function () {
+          prefixed.decodePrefixedAddress(testCase[0])
+        }, errors.InvalidAddressError)
+        try {
+          prefixed.decodePrefixedAddress(testCase[0])
+        } catch (error) {
+          assert.strictEqual(error.code, testCase[1], String(testCase[0]))
+        }
+      })
+    })
+  })
+
+  describe('#isValidPrefixedAddress()', function () {
+    it('should accept cashaddr-based addresses only', function () {
+      assert.isTrue(prefixed.isValidPrefixedAddress(CASHADDR))
+      assert.isTrue(prefixed.isValidPrefixedAddress(SLPADDR))
+      assert.isFalse(prefixed.isValidPrefixedAddress('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'))
+      assert.isFalse(prefixed.isValidPrefixedAddress(null))
+    })
+  })
+
+  describe('#encodeAsPrefixedFormat()', function () {
+    it('should encode decoded addresses in any cashaddr-based format and network', function () {
+      var decoded = prefixed.decodePrefixedAddress(CASHADDR)
+      assert.strictEqual(prefixed.encodeAsSlpaddr(decoded), SLPADDR)
+      assert.strictEqual(prefixed.encodeAsTestnetaddr(decoded), CASHADDR_TESTNET)
+      assert.strictEqual(prefixed.encodeAsPrefixedFormat(decoded, Format.Cashaddr, Network.Mainnet, { includePrefix: false }), CASHADDR.split(':')[1])
+    })
+  })
+
+  it('should not load base58 codecs', function () {
+    this.timeout(10000)
+    var script = [
+      'require(' + JSON.stringify(path.join(__dirname, '..', 'src', 'prefixed')) + ')',
+      'process.stdout.write(Object.keys(require.cache).map(function (file) { return require("path").relative(' + JSON.stringify(path.join(__dirname, '..', 'src')) + ', file).split(require("path").sep).join("/") }).sort().join(" "))'
+    ].join('\n')
+    var result = childProcess.spawnSync(process.execPath, ['-e', script], { encoding: 'utf8' })
+    assert.strictEqual(result.stdout, 'cashaddr.js constants.js internal/errors.js internal/networks.js internal/prefixed.js prefixed.js')
+  })
+
+  it('should not expose internal helpers', function () {
+    var helpers = ['decodeWithoutPrefix', 'decodeOrNull', 'hasSingleCase', 'getSubtype']
+    helpers.forEach(function (name) {
+      assert.notProperty(prefixed, name)
+    })
+    assert.notProperty(errors, 'getFurthestError')
+    assert.notProperty(networks, 'onRegisterNetwork')
+  })
+})
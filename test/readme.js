@@ -19,6 +19,7 @@ describe('Readme examples', function () {
     var isCashAddress = bchaddr.isCashAddress
     var isMainnetAddress = bchaddr.isMainnetAddress
     var isTestnetAddress = bchaddr.isTestnetAddress
+    var isRegtestAddress = bchaddr.isRegtestAddress
     var isP2PKHAddress = bchaddr.isP2PKHAddress
     var isP2SHAddress = bchaddr.isP2SHAddress
     var detectAddressFormat = bchaddr.detectAddressFormat
@@ -27,6 +28,25 @@ describe('Readme examples', function () {
     var toLegacyAddress = bchaddr.toLegacyAddress
     var toBitpayAddress = bchaddr.toBitpayAddress
     var toCashAddress = bchaddr.toCashAddress
+    var isTokenAwareAddress = bchaddr.isTokenAwareAddress
+    var toTokenAwareAddress = bchaddr.toTokenAwareAddress
+    var toNonTokenAddress = bchaddr.toNonTokenAddress
+    var suggestCorrections = bchaddr.suggestCorrections
+    var diagnoseBase58Address = bchaddr.diagnoseBase58Address
+    var toEcashAddress = bchaddr.toEcashAddress
+    var toEtokenAddress = bchaddr.toEtokenAddress
+    var isEcashAddress = bchaddr.isEcashAddress
+    var toOutputScript = bchaddr.toOutputScript
+    var fromOutputScript = bchaddr.fromOutputScript
+    var fromPublicKey = bchaddr.fromPublicKey
+    var fromRedeemScript = bchaddr.fromRedeemScript
+    var parsePaymentURI = bchaddr.parsePaymentURI
+    var buildPaymentURI = bchaddr.buildPaymentURI
+    var parseSlpPaymentURI = bchaddr.parseSlpPaymentURI
+    var buildSlpPaymentURI = bchaddr.buildSlpPaymentURI
+    var convertAddresses = bchaddr.convertAddresses
+    var setDecodeCacheSize = bchaddr.setDecodeCacheSize
+    var tokenId = '4de69e374a8ed21cbddd47f2338cc0f479dc58daa2bbe11cd604ca488eca0ddf'
     assert.strictEqual(
       isLegacyAddress('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'),
       true
@@ -67,6 +87,10 @@ describe('Readme examples', function () {
       isTestnetAddress('CeUvhjLnSgcxyedaUafcyo4Cw9ZPwGq9JJ'),
       false
     )
+    assert.strictEqual(
+      isRegtestAddress('bchreg:qr7fzmep8g7h7ymfxy74lgc0v950j3r295m39d8z59'),
+      true
+    )
     assert.strictEqual(
       isP2PKHAddress('1Mdob5JY1yuwoj6y76Vf3AQpoqUH5Aft8z'),
       true
@@ -119,5 +143,189 @@ describe('Readme examples', function () {
       toCashAddress('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'),
       'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
     )
+    assert.strictEqual(
+      isTokenAwareAddress('bitcoincash:zr7fzmep8g7h7ymfxy74lgc0v950j3r295z4y4gq0v'),
+      true
+    )
+    assert.strictEqual(
+      toTokenAwareAddress('bitcoincash:qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsl'),
+      'bitcoincash:zr7fzmep8g7h7ymfxy74lgc0v950j3r295z4y4gq0v'
+    )
+    assert.strictEqual(
+      toNonTokenAddress('bitcoincash:zr7fzmep8g7h7ymfxy74lgc0v950j3r295z4y4gq0v'),
+      'bitcoincash:qr7fzmep8g7h7ymfxy74lgc0v950j3r2959lhtxxsl'
+    )
+    assert.deepEqual(
+      suggestCorrections('bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwq'),
+      [{
+        address: 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk',
+        positions: [53],
+        format: Format.Cashaddr,
+        network: Network.Mainnet
+      }]
+    )
+    assert.strictEqual(
+      toEcashAddress('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'),
+      'ecash:qph5kuz78czq00e3t85ugpgd7xmer5kr7cdywekmgp'
+    )
+    assert.strictEqual(
+      toEtokenAddress('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'),
+      'etoken:qph5kuz78czq00e3t85ugpgd7xmer5kr7cr68mquvk'
+    )
+    assert.strictEqual(
+      isEcashAddress('ecash:qph5kuz78czq00e3t85ugpgd7xmer5kr7cdywekmgp'),
+      true
+    )
+    assert.strictEqual(
+      toOutputScript('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', { encoding: 'hex' }),
+      '76a9146f4b705e3e0407bf3159e9c4050df1b791d2c3f688ac'
+    )
+    assert.strictEqual(
+      fromOutputScript('76a9146f4b705e3e0407bf3159e9c4050df1b791d2c3f688ac'),
+      'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+    )
+    assert.strictEqual(
+      fromOutputScript('76a9146f4b705e3e0407bf3159e9c4050df1b791d2c3f688ac', { format: Format.Legacy }),
+      '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+    )
+    assert.strictEqual(
+      fromPublicKey('0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798'),
+      'bitcoincash:qp63uahgrxged4z5jswyt5dn5v3lzsem6cy4spdc2h'
+    )
+    assert.strictEqual(
+      fromPublicKey('0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798', { format: Format.Legacy }),
+      '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH'
+    )
+    assert.strictEqual(
+      fromRedeemScript('5151935287'),
+      'bitcoincash:pzmu69gf76v39gmhfy7ggz0qwa9gqkl9dv7uc5dmdk'
+    )
+    assert.strictEqual(
+      fromRedeemScript('5151935287', { hashSize: 32 }),
+      'bitcoincash:pw4q9wnppkhgxqgfcgjk0kyzjp3yty4gtwf5rep492f7avtprvjyxvrc366np'
+    )
+    assert.deepEqual(
+      parsePaymentURI('bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk?amount=0.1&label=Shop'),
+      {
+        address: 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk',
+        format: Format.Cashaddr,
+        network: Network.Mainnet,
+        type: Type.P2PKH,
+        amount: '0.1',
+        label: 'Shop',
+        params: {}
+      }
+    )
+    assert.strictEqual(
+      buildPaymentURI('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', { amount: 0.1, message: 'Order #1' }),
+      'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk?amount=0.1&message=Order%20%231'
+    )
+    assert.strictEqual(
+      buildSlpPaymentURI('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', { tokens: [{ tokenId: tokenId, amount: '10.5' }] }),
+      'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg?amount1=10.5-4de69e374a8ed21cbddd47f2338cc0f479dc58daa2bbe11cd604ca488eca0ddf'
+    )
+    assert.deepEqual(
+      parseSlpPaymentURI('simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg?amount1=10.5-' + tokenId, { network: Network.Mainnet }).tokens,
+      [{ tokenId: '4de69e374a8ed21cbddd47f2338cc0f479dc58daa2bbe11cd604ca488eca0ddf', amount: '10.5' }]
+    )
+    assert.strictEqual(
+      toCashAddress('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', { includePrefix: false }),
+      'qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+    )
+    assert.strictEqual(
+      toCashAddress('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', { case: 'upper' }),
+      'BITCOINCASH:QPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7C5F6JDPWK'
+    )
+    assert.strictEqual(
+      toLegacyAddress('QPH5KUZ78CZQ00E3T85UGPGD7XMER5KR7C5F6JDPWK'),
+      '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+    )
+    assert.strictEqual(
+      bchaddr.convertAddress('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', { network: Network.Testnet }),
+      'mqfRfwGeZnFwfFE7KWJjyg6Yx212iGi6Fi'
+    )
+    assert.strictEqual(
+      bchaddr.convertAddress('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', { format: Format.Slpaddr, network: Network.Testnet }),
+      'slptest:qph5kuz78czq00e3t85ugpgd7xmer5kr7ct0ew4pmh'
+    )
+    assert.strictEqual(
+      bchaddr.encodeAddress({ hash: '6f4b705e3e0407bf3159e9c4050df1b791d2c3f6', type: Type.P2PKH, format: Format.Legacy }),
+      '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+    )
+    var address = bchaddr.Address.from('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR')
+    assert.strictEqual(address.hashHex, '6f4b705e3e0407bf3159e9c4050df1b791d2c3f6')
+    assert.strictEqual(address.format, Format.Legacy)
+    assert.strictEqual(address.prefix, null)
+    assert.strictEqual(address.toCashAddress(), 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk')
+    assert.strictEqual(address.toString(Format.Bitpay), 'CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj')
+    assert.strictEqual(address.equals('bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'), true)
+    assert.strictEqual(JSON.stringify({ address: address }), '{"address":"1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR"}')
+    var CASHADDR = 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk'
+    var SLPADDR = 'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg'
+    assert.strictEqual(bchaddr.addressesEqual('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', CASHADDR), true)
+    assert.strictEqual(bchaddr.addressesEqual(CASHADDR, SLPADDR), false)
+    assert.strictEqual(bchaddr.addressesEqual(CASHADDR, SLPADDR, { ignoreNamespace: true }), true)
+    assert.strictEqual(bchaddr.addressesEqual(CASHADDR, 'bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2', { ignoreNetwork: true }), true)
+    assert.strictEqual(bchaddr.canonicalKey('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'), 'bch:p2pkh:mainnet:6f4b705e3e0407bf3159e9c4050df1b791d2c3f6')
+    assert.strictEqual(bchaddr.fromCanonicalKey('bch:p2pkh:mainnet:6f4b705e3e0407bf3159e9c4050df1b791d2c3f6'), CASHADDR)
+    assert.deepEqual(
+      bchaddr.findAddresses('Please send to (1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR), thanks!'),
+      [{
+        address: '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR',
+        start: 16,
+        end: 50,
+        format: Format.Legacy,
+        network: Network.Mainnet,
+        type: Type.P2PKH,
+        normalized: '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'
+      }]
+    )
+    assert.deepEqual(
+      bchaddr.mapAddresses({ outputs: [{ to: '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', amount: 1 }] }, toCashAddress),
+      { outputs: [{ to: 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk', amount: 1 }] }
+    )
+    var restrictions = { requirePrefix: true, network: Network.Mainnet, formats: [Format.Cashaddr, Format.Legacy], types: [Type.P2PKH] }
+    assert.strictEqual(bchaddr.isValidAddress('bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk', restrictions), true)
+    assert.strictEqual(bchaddr.isValidAddress('qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk', restrictions), false)
+    assert.strictEqual(bchaddr.isValidAddress('bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2', restrictions), false)
+    assert.strictEqual(bchaddr.isValidAddress('CScMwvXjdooDnGevHgfHjGWFi9cjk75Aaj', restrictions), false)
+    assert.throws(function () {
+      toLegacyAddress('bchtest:qph5kuz78czq00e3t85ugpgd7xmer5kr7csm740kf2', restrictions)
+    }, bchaddr.InvalidAddressError, 'Expected a mainnet address, received a testnet address.')
+    var conversions = convertAddresses(['1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR', 'some invalid address'], { format: Format.Cashaddr })
+    assert.deepEqual(conversions[0], {
+      input: '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR',
+      output: 'bitcoincash:qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk',
+      format: Format.Cashaddr,
+      network: Network.Mainnet,
+      type: Type.P2PKH,
+      error: null
+    })
+    assert.strictEqual(conversions[1].output, null)
+    assert.instanceOf(conversions[1].error, bchaddr.InvalidAddressError)
+    setDecodeCacheSize(100000)
+    assert.strictEqual(
+      bchaddr.isValidAddress('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'),
+      true
+    )
+    setDecodeCacheSize(0)
+    assert.deepEqual(
+      diagnoseBase58Address('1B9UNtBfkk0gt8kVbwLN9ktE62QKnMbDzR'),
+      {
+        invalidCharacters: [{ position: 10, character: '0' }],
+        candidates: [{
+          address: '1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR',
+          positions: [10],
+          format: Format.Legacy,
+          network: Network.Mainnet,
+          type: Type.P2PKH
+        }]
+      }
+    )
+    var prefixed = require('../src/prefixed')
+    var decoded = prefixed.decodePrefixedAddress('qph5kuz78czq00e3t85ugpgd7xmer5kr7c5f6jdpwk')
+    assert.strictEqual(decoded.network, Network.Mainnet)
+    assert.strictEqual(prefixed.encodeAsSlpaddr(decoded), 'simpleledger:qph5kuz78czq00e3t85ugpgd7xmer5kr7ccj3fcpsg')
+    assert.isFalse(prefixed.isValidPrefixedAddress('1B9UNtBfkkpgt8kVbwLN9ktE62QKnMbDzR'))
   })
 })